@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { webcrypto } = require('crypto');
+const GladysGatewayJs = require('..');
+
+const DEFAULT_SERVER_URL = 'https://api.gladysgateway.com';
+const DEFAULT_SESSION_PATH = path.join(os.homedir(), '.gladys-gateway', 'session.json');
+const DEVICE_NAME = 'gateway-js CLI';
+const INSTANCE_STATUS_TIMEOUT = 5 * 1000;
+// minimum length of the passphrase sealing the saved session
+const MIN_SECRET_LENGTH = 8;
+
+const HELP = `Usage: gateway-js <command> [options]
+
+Commands:
+  login [email]                          log in, and save the session
+  logout                                 forget the saved session
+  whoami                                 show the logged in user
+  devices list
+  devices revoke <device_id>
+  api-keys list
+  api-keys create <name>
+  api-keys rename <api_key_id> <name>
+  api-keys revoke <api_key_id>
+  invitations send <email> [role]
+  invitations revoke <invitation_id>
+  backups list
+  backups download <url> <file>          --backup-key, --size and --checksum verify the backup
+  instance list
+  instance status                        tells which instances answer
+  request <method> <path>                sends an API call to the instance, --data and --query are JSON
+
+Options:
+  --server <url>       gateway url (GLADYS_GATEWAY_URL)
+  --session <file>     session file (GLADYS_GATEWAY_SESSION), default ${DEFAULT_SESSION_PATH}
+  --instance <id>      instance to talk to, the primary one by default
+  --timeout <ms>       time given to the instance to answer
+  --help
+
+The session is sealed with a passphrase of at least ${MIN_SECRET_LENGTH} characters, asked when needed,
+or read from GLADYS_GATEWAY_SECRET.
+`;
+
+// commands write JSON on stdout, everything else goes to stderr
+function print(data) {
+  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+}
+
+function info(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+// --name value, --name=value and --flag. Everything else is a positional argument
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith('--')) {
+      const [name, value] = arg.slice(2).split(/=(.*)/s);
+      if (value !== undefined) {
+        flags[name] = value;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        flags[name] = argv[i + 1];
+        i += 1;
+      } else {
+        flags[name] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, flags };
+}
+
+function parseJson(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw usageError(`--${name} is not valid JSON`);
+  }
+}
+
+// a single interface reads all the answers, lines piped at once are kept until they are asked for
+let readlineInterface = null;
+let muted = false;
+let closed = false;
+let pendingAnswer = null;
+const answers = [];
+
+function getReadlineInterface() {
+  if (readlineInterface) {
+    return readlineInterface;
+  }
+  // readline echoes what is typed, except for hidden answers
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stderr.write(chunk);
+      }
+      callback();
+    },
+  });
+  readlineInterface = readline.createInterface({
+    input: process.stdin,
+    output,
+    terminal: process.stdin.isTTY,
+  });
+  readlineInterface.on('line', (line) => {
+    if (pendingAnswer) {
+      const { resolve } = pendingAnswer;
+      pendingAnswer = null;
+      resolve(line);
+    } else {
+      answers.push(line);
+    }
+  });
+  readlineInterface.on('close', () => {
+    closed = true;
+    if (pendingAnswer) {
+      pendingAnswer.reject(usageError('No answer given'));
+      pendingAnswer = null;
+    }
+  });
+  return readlineInterface;
+}
+
+async function prompt(question, { hidden = false } = {}) {
+  getReadlineInterface();
+  process.stderr.write(question);
+  muted = hidden;
+  try {
+    if (answers.length > 0) {
+      return answers.shift();
+    }
+    if (closed) {
+      throw usageError('No answer given');
+    }
+    return await new Promise((resolve, reject) => {
+      pendingAnswer = { resolve, reject };
+    });
+  } finally {
+    if (hidden) {
+      muted = false;
+      process.stderr.write('\n');
+    }
+  }
+}
+
+async function getSecret() {
+  if (process.env.GLADYS_GATEWAY_SECRET) {
+    return process.env.GLADYS_GATEWAY_SECRET;
+  }
+  return prompt('Session passphrase: ', { hidden: true });
+}
+
+// the sealed session can be attacked offline, a short PIN would not hold long
+async function chooseSecret() {
+  const secret = await getSecret();
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw usageError(`The session passphrase must have at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return secret;
+}
+
+function createSessionStorage(flags) {
+  const sessionPath = flags.session || process.env.GLADYS_GATEWAY_SESSION || DEFAULT_SESSION_PATH;
+  fs.mkdirSync(path.dirname(sessionPath), { recursive: true, mode: 0o700 });
+  return GladysGatewayJs.createFileSessionStorage({ path: sessionPath });
+}
+
+async function createGateway(flags, sessionStorage) {
+  const serverUrl =
+    flags.server || process.env.GLADYS_GATEWAY_URL || (await sessionStorage.get('server_url')) || DEFAULT_SERVER_URL;
+  const logger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: info,
+  };
+  return new GladysGatewayJs({ cryptoLib: webcrypto, serverUrl, logger, sessionStorage });
+}
+
+async function login(gateway, sessionStorage, [rawEmail]) {
+  const email = rawEmail || (await prompt('Email: '));
+  const password = await prompt('Password: ', { hidden: true });
+  const { two_factor_token: twoFactorToken } = await gateway.login(email, password);
+  const twoFactorCode = await prompt('Two factor code: ');
+  const result = await gateway.loginTwoFactor(twoFactorToken, password, twoFactorCode.trim(), DEVICE_NAME);
+
+  info('Choose a passphrase to protect the saved session.');
+  await gateway.saveSession(await chooseSecret());
+  await sessionStorage.set('server_url', gateway.serverUrl);
+  info(`Logged in, primary instance: ${result.gladysInstance ? result.gladysInstance.name : 'none'}`);
+}
+
+// the session is restored, and a new access token is fetched
+async function restoreSession(gateway) {
+  const session = await gateway.restoreSession(await getSecret());
+  if (!session) {
+    throw usageError('Not logged in, run "gateway-js login" first');
+  }
+  gateway.accessToken = await gateway.getAccessToken(session.refreshToken);
+  return session;
+}
+
+async function connect(gateway) {
+  const session = await restoreSession(gateway);
+  await gateway.userConnect(session.refreshToken, session.serializedKeys);
+}
+
+function getRequestOptions(flags) {
+  const options = {};
+  if (flags.instance) {
+    options.instanceId = flags.instance;
+  }
+  if (flags.timeout) {
+    options.timeout = Number(flags.timeout);
+  }
+  return options;
+}
+
+async function instanceStatus(gateway) {
+  const instances = await gateway.listInstances();
+  return Promise.all(
+    instances.map(async (instance) => {
+      const start = Date.now();
+      try {
+        await gateway.sendRequestGetToInstance(instance.id, '/api/v1/system/info', undefined, {
+          timeout: INSTANCE_STATUS_TIMEOUT,
+        });
+        return { id: instance.id, name: instance.name, online: true, latency: Date.now() - start };
+      } catch (e) {
+        // the instance answered, even with an error
+        if (e instanceof GladysGatewayJs.RemoteInstanceError) {
+          return { id: instance.id, name: instance.name, online: true, latency: Date.now() - start };
+        }
+        return { id: instance.id, name: instance.name, online: false, error: e.code || e.message };
+      }
+    }),
+  );
+}
+
+async function downloadBackup(gateway, [url, file], flags) {
+  if (!url || !file) {
+    throw usageError('Usage: gateway-js backups download <url> <file>');
+  }
+  const writeStream = fs.createWriteStream(file);
+  const onProgress = ({ loaded, total }) => {
+    process.stderr.write(`\r${loaded}${total ? ` / ${total}` : ''} bytes`);
+  };
+  try {
+    const downloaded = await gateway.downloadBackup(url, writeStream, onProgress, {
+      backupKey: flags['backup-key'],
+      size: flags.size,
+      checksum: flags.checksum,
+    });
+    process.stderr.write('\n');
+    return downloaded;
+  } catch (e) {
+    // a partial backup is of no use
+    process.stderr.write('\n');
+    await fs.promises.rm(file, { force: true });
+    throw e;
+  }
+}
+
+// the command is called with its positional arguments once they are all given
+function withArguments(usage, count, command) {
+  return (gateway, positionals, flags) => {
+    if (positionals.slice(0, count).filter(Boolean).length < count) {
+      throw usageError(`Usage: gateway-js ${usage}`);
+    }
+    return command(gateway, positionals, flags);
+  };
+}
+
+const commands = {
+  whoami: (gateway) => gateway.getMyself(),
+  'devices list': (gateway) => gateway.getDevices(),
+  'devices revoke': withArguments('devices revoke <device_id>', 1, (gateway, [deviceId]) =>
+    gateway.revokeDevice(deviceId),
+  ),
+  'api-keys list': (gateway) => gateway.getApiKeys(),
+  'api-keys create': withArguments('api-keys create <name>', 1, (gateway, [name]) => gateway.createApiKey(name)),
+  'api-keys rename': withArguments('api-keys rename <api_key_id> <name>', 2, (gateway, [id, name]) =>
+    gateway.updateApiKeyName(id, name),
+  ),
+  'api-keys revoke': withArguments('api-keys revoke <api_key_id>', 1, (gateway, [id]) => gateway.revokeApiKey(id)),
+  'invitations send': withArguments('invitations send <email> [role]', 1, (gateway, [email, role = 'user']) =>
+    gateway.inviteUser(email, role),
+  ),
+  'invitations revoke': withArguments('invitations revoke <invitation_id>', 1, (gateway, [invitationId]) =>
+    gateway.revokeInvitation(invitationId),
+  ),
+  'backups list': (gateway) => gateway.getBackups(),
+  'backups download': downloadBackup,
+  'instance list': (gateway) => gateway.listInstances(),
+};
+
+// commands talking to the instance need the socket
+const socketCommands = {
+  'instance status': instanceStatus,
+  request: (gateway, [method, requestPath], flags) => {
+    if (!method || !requestPath) {
+      throw usageError('Usage: gateway-js request <method> <path>');
+    }
+    const body = method.toUpperCase() === 'GET' ? parseJson(flags.query, 'query') : parseJson(flags.data, 'data');
+    return gateway.sendRequest(method.toUpperCase(), requestPath, body, getRequestOptions(flags));
+  },
+};
+
+function findCommand(table, positionals) {
+  const twoWords = positionals.slice(0, 2).join(' ');
+  if (table[twoWords]) {
+    return { handler: table[twoWords], args: positionals.slice(2) };
+  }
+  if (table[positionals[0]]) {
+    return { handler: table[positionals[0]], args: positionals.slice(1) };
+  }
+  return null;
+}
+
+async function run(argv) {
+  const { positionals, flags } = parseArgs(argv);
+  if (flags.help || positionals.length === 0) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const sessionStorage = createSessionStorage(flags);
+  const gateway = await createGateway(flags, sessionStorage);
+
+  if (positionals[0] === 'login') {
+    await login(gateway, sessionStorage, positionals.slice(1));
+    return;
+  }
+  if (positionals[0] === 'logout') {
+    await gateway.clearSession();
+    info('Logged out');
+    return;
+  }
+
+  const command = findCommand(commands, positionals);
+  if (command) {
+    await restoreSession(gateway);
+    print(await command.handler(gateway, command.args, flags));
+    return;
+  }
+
+  const socketCommand = findCommand(socketCommands, positionals);
+  if (socketCommand) {
+    await connect(gateway);
+    try {
+      print(await socketCommand.handler(gateway, socketCommand.args, flags));
+    } finally {
+      gateway.disconnect();
+    }
+    return;
+  }
+
+  throw usageError(`Unknown command "${positionals.join(' ')}", see gateway-js --help`);
+}
+
+run(process.argv.slice(2))
+  .catch((e) => {
+    if (e.code === 'USAGE') {
+      info(e.message);
+    } else if (e instanceof GladysGatewayJs.RemoteInstanceError) {
+      print(e.response);
+    } else if (e.code === 'INVALID_SECRET') {
+      info('Wrong session passphrase');
+    } else if (e instanceof GladysGatewayJs.AuthenticationError) {
+      info(`Authentication failed (${e.code}), run "gateway-js login" again`);
+    } else {
+      info(`Error: ${e.message}${e.code ? ` (${e.code})` : ''}`);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (readlineInterface) {
+      readlineInterface.close();
+    }
+  });
@@ -1,18 +1,73 @@
 const srpClient = require('secure-remote-password/client');
 const axios = require('axios');
 const autoBind = require('auto-bind');
+const EventEmitter = require('events');
 const pbkdf2 = require('@ctrlpanel/pbkdf2');
 const encodeUtf8 = require('encode-utf8');
 const arrayBufferToHex = require('array-buffer-to-hex');
 const hexToArrayBuffer = require('hex-to-array-buffer');
 const { io } = require('socket.io-client');
 const requestApi = require('./lib/request');
+const { str2ab, getTokenExpiration, isWildcardPattern, wildcardToRegExp, mapSeries } = require('./lib/helpers');
+const { createMemoryReplayStore } = require('./lib/replay');
+const { createMemoryKeyPinStore, isSamePin } = require('./lib/key-pinning');
+const { createOutboundQueue } = require('./lib/outbound-queue');
+const { withTimeout } = require('./lib/timeout');
+const { createRouter } = require('./lib/router');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const sessionStorages = require('./lib/session-storage');
+const errors = require('./lib/errors');
+const {
+  DEFAULT_FRAGMENT_SIZE,
+  isFragment,
+  isFragmentAck,
+  isFragmentedResponse,
+  splitMessage,
+  createFragmentAck,
+  createFragmentedResponse,
+  createReassembler,
+} = require('./lib/fragmentation');
+const { getSupportedCompressions } = require('./lib/compression');
+const { retry } = require('./lib/retry');
+const { uploadParts } = require('./lib/multipart-upload');
+const { downloadWithResume } = require('./lib/backup-download');
+const { BINARY_FORMAT, JSON_FORMAT, SUPPORTED_FORMATS, isBinaryEnvelope, decodeEnvelope } = require('./lib/envelope');
 
 const Crypto = require('./lib/crypto');
+const BackupCrypto = require('./lib/backup-crypto');
+
+const {
+  GatewayError,
+  AuthenticationError,
+  TwoFactorRequiredError,
+  NotConnectedError,
+  InstanceNotFoundError,
+  UserNotFoundError,
+  RemoteInstanceError,
+  GatewayTimeoutError,
+} = errors;
 
 const PBKDF2_HASH = 'SHA-256';
 const PBKDF2_ITERATIONS = 100000;
 const PBKDF2_KEYLEN = 32;
+const KEY_ROTATION_GRACE_PERIOD = 10 * 60 * 1000; // old instance keys are still accepted 10 minutes after rotation
+const ACCESS_TOKEN_RENEWAL_MARGIN = 60 * 1000; // access token is renewed 1 minute before it expires
+const ACCESS_TOKEN_RENEWAL_RETRY_DELAY = 30 * 1000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const SOCKET_AUTHENTICATION_TIMEOUT = 10 * 1000;
+const SOCKET_AUTHENTICATION_RETRIES = 2;
+const MESSAGE_TIMEOUT = 60 * 1000; // time given to the instance to answer a message
+const DELIVERY_ACK_TIMEOUT = 10 * 1000; // time given to the server to acknowledge a message sent to a user
+const SESSION_STORAGE_KEY = 'session';
+
+// axios errors are thrown as HttpError, or as AuthenticationError on the login routes
+function throwHttpError(err) {
+  throw requestApi.toGatewayError(err);
+}
+
+function throwAuthenticationError(err) {
+  throw requestApi.toAuthenticationError(err);
+}
 
 const defaultLogger = {
   debug: console.log,
@@ -21,23 +76,179 @@ const defaultLogger = {
   error: console.log,
 };
 
-class GladysGatewayJs {
-  constructor({ cryptoLib, serverUrl, logger = defaultLogger }) {
+class GladysGatewayJs extends EventEmitter {
+  constructor({
+    cryptoLib,
+    serverUrl,
+    logger = defaultLogger,
+    replayProtection = {},
+    keyRotationGracePeriod = KEY_ROTATION_GRACE_PERIOD,
+    fragmentation = {},
+    compression = true,
+    keyPinStore = createMemoryKeyPinStore(),
+    http = {},
+    outboundQueue = false,
+    messageTimeout = MESSAGE_TIMEOUT,
+    openApi = {},
+    sessionStorage = sessionStorages.createMemorySessionStorage(),
+  }) {
+    super();
     this.crypto = Crypto({ cryptoLib });
+    this.backupCrypto = BackupCrypto({ cryptoLib });
     this.serverUrl = serverUrl;
     this.logger = logger;
+    // default timeout and retries of requests to the gateway API, each call can override them
+    this.httpOptions = {
+      timeout: http.timeout,
+      retries: http.retries,
+    };
+    // default time to wait for an answer through the socket, 0 to wait forever
+    this.messageTimeout = messageTimeout;
+    // options used to decrypt messages received through the socket
+    this.messageOptions = {
+      maxLifetime: replayProtection.maxLifetime,
+      clockSkew: replayProtection.clockSkew,
+      replayStore: replayProtection.store || createMemoryReplayStore({ maxSize: replayProtection.maxSize }),
+    };
+    // messages bigger than fragmentSize are sent in several encrypted fragments
+    this.fragmentSize = fragmentation.fragmentSize || DEFAULT_FRAGMENT_SIZE;
+    this.reassembler = createReassembler({
+      maxTotalSize: fragmentation.maxTotalSize,
+      maxConcurrent: fragmentation.maxConcurrent,
+      timeout: fragmentation.timeout,
+    });
+    // messages are compressed, or sent in binary, only for peers which told us they support it
+    this.compression = compression;
+    this.peersCapabilities = {};
+    // until the server tells us otherwise, it only relays JSON envelopes
+    this.serverEnvelopeFormats = [JSON_FORMAT];
     this.socket = null;
+    // disconnected, connecting, connected, authenticated or reconnecting, each change is emitted as an event
+    this.connectionState = 'disconnected';
     this.refreshToken = null;
+    this.accessTokenRenewalTimer = null;
     this.rsaKeys = null;
     this.ecdsaKeys = null;
     this.gladysInstance = null;
     this.gladysInstancePublicKey = null;
     this.gladysInstanceEcdsaPublicKey = null;
     this.keysDictionnary = {};
+    // fingerprints of the instance keys seen the first time, a change has to be approved by the user
+    this.keyPinStore = keyPinStore;
+    this.instanceKeyChanged = null;
+    // imported public keys of all the instances of the user, by instance id
+    this.instancesKeys = {};
+    this.keyRotationGracePeriod = keyRotationGracePeriod;
+    this.previousInstanceKeys = null;
+    // when enabled, messages to offline users are kept until they connect again
+    this.outboundQueue = outboundQueue ? createOutboundQueue(outboundQueue === true ? {} : outboundQueue) : null;
+    // listeners of event names containing a * wildcard
+    this.wildcardListeners = [];
+    // once routes are registered, gladys-api-call messages are handled by the router instead of callbackMessage
+    this.router = createRouter({ logger });
+    // open API messages come from third-parties, and are not end-to-end encrypted.
+    // Limits are opt-in, the server doesn't always tell which API key was used
+    this.openApiOptions = {
+      maxPayloadSize: openApi.maxPayloadSize || null,
+      requireApiKey: openApi.requireApiKey === true,
+      validate: openApi.validate,
+    };
+    this.openApiRateLimiter = openApi.rateLimit
+      ? createRateLimiter(openApi.rateLimit === true ? {} : openApi.rateLimit)
+      : null;
+    // where saveSession keeps the sealed session, see lib/session-storage
+    this.sessionStorage = sessionStorage;
     autoBind(this);
   }
 
+  // event names can contain * wildcards, for example gladys-event:* or gladys-event:device.*
+  on(eventName, listener) {
+    if (isWildcardPattern(eventName)) {
+      this.wildcardListeners.push({ eventName, regexp: wildcardToRegExp(eventName), listener, once: false });
+      return this;
+    }
+    return super.on(eventName, listener);
+  }
+
+  addListener(eventName, listener) {
+    return this.on(eventName, listener);
+  }
+
+  once(eventName, listener) {
+    if (isWildcardPattern(eventName)) {
+      this.wildcardListeners.push({ eventName, regexp: wildcardToRegExp(eventName), listener, once: true });
+      return this;
+    }
+    return super.once(eventName, listener);
+  }
+
+  off(eventName, listener) {
+    if (isWildcardPattern(eventName)) {
+      const index = this.wildcardListeners.findIndex(
+        (wildcardListener) => wildcardListener.eventName === eventName && wildcardListener.listener === listener,
+      );
+      if (index !== -1) {
+        this.wildcardListeners.splice(index, 1);
+      }
+      return this;
+    }
+    return super.removeListener(eventName, listener);
+  }
+
+  removeListener(eventName, listener) {
+    return this.off(eventName, listener);
+  }
+
+  removeAllListeners(...args) {
+    if (args.length === 0) {
+      this.wildcardListeners = [];
+      return super.removeAllListeners();
+    }
+    const [eventName] = args;
+    if (isWildcardPattern(eventName)) {
+      this.wildcardListeners = this.wildcardListeners.filter(
+        (wildcardListener) => wildcardListener.eventName !== eventName,
+      );
+      return this;
+    }
+    return super.removeAllListeners(eventName);
+  }
+
+  // a wildcard pattern counts its own listeners, an event name also counts the wildcard listeners it reaches
+  listenerCount(eventName) {
+    if (isWildcardPattern(eventName)) {
+      return this.wildcardListeners.filter((wildcardListener) => wildcardListener.eventName === eventName).length;
+    }
+    return super.listenerCount(eventName) + this.getMatchingWildcardListeners(eventName).length;
+  }
+
+  getMatchingWildcardListeners(eventName) {
+    return typeof eventName === 'string' ? this.wildcardListeners.filter(({ regexp }) => regexp.test(eventName)) : [];
+  }
+
+  // wildcard listeners get the name of the event after its arguments
+  emit(eventName, ...args) {
+    const handled = super.emit(eventName, ...args);
+    const matching = this.getMatchingWildcardListeners(eventName);
+    this.wildcardListeners = this.wildcardListeners.filter(
+      (wildcardListener) => !wildcardListener.once || !matching.includes(wildcardListener),
+    );
+    matching.forEach(({ listener }) => listener.call(this, ...args, eventName));
+    return handled || matching.length > 0;
+  }
+
+  // same as on (or once), but returns a function removing the listener
+  subscribe(eventName, listener, { once = false } = {}) {
+    if (once) {
+      this.once(eventName, listener);
+    } else {
+      this.on(eventName, listener);
+    }
+    return () => this.off(eventName, listener);
+  }
+
   disconnect() {
+    this.cancelAccessTokenRenewal();
     if (this.socket) {
       this.socket.disconnect();
     }
@@ -116,9 +327,9 @@ class GladysGatewayJs {
 
     if (invitationToken) {
       newUser.token = invitationToken;
-      return axios.post(`${this.serverUrl}/invitations/accept`, newUser);
+      return axios.post(`${this.serverUrl}/invitations/accept`, newUser).catch(throwHttpError);
     }
-    return axios.post(`${this.serverUrl}/users/signup`, newUser);
+    return axios.post(`${this.serverUrl}/users/signup`, newUser).catch(throwHttpError);
   }
 
   async login(rawEmail, rawPassword) {
@@ -130,17 +341,21 @@ class GladysGatewayJs {
 
     // We ask the server for the salt
     const loginSaltResult = (
-      await axios.post(`${this.serverUrl}/users/login-salt`, {
-        email,
-      })
+      await axios
+        .post(`${this.serverUrl}/users/login-salt`, {
+          email,
+        })
+        .catch(throwAuthenticationError)
     ).data;
 
     // Then send our clientEphemeral public + email, and retrieve the server ephemeral public
     const serverEphemeralResult = (
-      await axios.post(`${this.serverUrl}/users/login-generate-ephemeral`, {
-        email,
-        client_ephemeral_public: clientEphemeral.public,
-      })
+      await axios
+        .post(`${this.serverUrl}/users/login-generate-ephemeral`, {
+          email,
+          client_ephemeral_public: clientEphemeral.public,
+        })
+        .catch(throwAuthenticationError)
     ).data;
 
     // We generate the key and wait
@@ -163,10 +378,12 @@ class GladysGatewayJs {
 
     // finally, we send the proof to the server
     const serverFinalLoginResult = (
-      await axios.post(`${this.serverUrl}/users/login-finalize`, {
-        login_session_key: serverEphemeralResult.login_session_key,
-        client_session_proof: clientSession.proof,
-      })
+      await axios
+        .post(`${this.serverUrl}/users/login-finalize`, {
+          login_session_key: serverEphemeralResult.login_session_key,
+          client_session_proof: clientSession.proof,
+        })
+        .catch(throwAuthenticationError)
     ).data;
 
     // we verify that the server have derived the correct strong session key
@@ -176,15 +393,21 @@ class GladysGatewayJs {
   }
 
   async loginTwoFactor(accessToken, password, code, deviceName = 'Unknown') {
-    const result = await axios.post(
-      `${this.serverUrl}/users/login-two-factor`,
-      { two_factor_code: code, device_name: deviceName },
-      {
-        headers: {
-          authorization: accessToken,
+    if (!code) {
+      throw new TwoFactorRequiredError(undefined, { twoFactorToken: accessToken });
+    }
+
+    const result = await axios
+      .post(
+        `${this.serverUrl}/users/login-two-factor`,
+        { two_factor_code: code, device_name: deviceName },
+        {
+          headers: {
+            authorization: accessToken,
+          },
         },
-      },
-    );
+      )
+      .catch(throwAuthenticationError);
 
     const loginData = result.data;
 
@@ -193,28 +416,25 @@ class GladysGatewayJs {
 
     // We decrypt the encrypted RSA private key
     this.rsaKeys = {
-      private_key: await this.crypto.decryptPrivateKey(
-        password,
-        loginData.rsa_encrypted_private_key.wrappedKey,
-        'RSA-OAEP',
-        loginData.rsa_encrypted_private_key.salt,
-        loginData.rsa_encrypted_private_key.iv,
-      ),
+      private_key: await this.crypto.decryptPrivateKey(password, loginData.rsa_encrypted_private_key, 'RSA-OAEP'),
     };
 
     // We decrypt the encrypted ECDSA private key
     this.ecdsaKeys = {
-      private_key: await this.crypto.decryptPrivateKeyJwk(
-        password,
-        loginData.ecdsa_encrypted_private_key.wrappedKey,
-        'ECDSA',
-        loginData.ecdsa_encrypted_private_key.salt,
-        loginData.ecdsa_encrypted_private_key.iv,
-      ),
+      private_key: await this.crypto.decryptPrivateKey(password, loginData.ecdsa_encrypted_private_key, 'ECDSA'),
     };
 
     this.accessToken = loginData.access_token;
     this.refreshToken = loginData.refresh_token;
+    this.scheduleAccessTokenRenewal();
+
+    // private keys encrypted with old parameters are re-encrypted with the current ones
+    if (
+      this.crypto.isPrivateKeyEnvelopeOutdated(loginData.rsa_encrypted_private_key) ||
+      this.crypto.isPrivateKeyEnvelopeOutdated(loginData.ecdsa_encrypted_private_key)
+    ) {
+      await this.upgradePrivateKeysEnvelope(password);
+    }
 
     await this.getInstance();
 
@@ -241,21 +461,105 @@ class GladysGatewayJs {
     };
   }
 
+  async upgradePrivateKeysEnvelope(password) {
+    try {
+      const rsaEncryptedPrivateKey = await this.crypto.encryptPrivateKey(password, this.rsaKeys.private_key);
+      const ecdsaEncryptedPrivateKey = await this.crypto.encryptPrivateKey(password, this.ecdsaKeys.private_key);
+
+      await requestApi.patch(
+        `${this.serverUrl}/users/me`,
+        {
+          rsa_encrypted_private_key: JSON.stringify(rsaEncryptedPrivateKey),
+          ecdsa_encrypted_private_key: JSON.stringify(ecdsaEncryptedPrivateKey),
+        },
+        this,
+      );
+    } catch (e) {
+      // keys are still usable with the old envelope, we'll try again on next login
+      this.logger.warn('Gladys Gateway: Unable to upgrade private keys envelope.');
+      this.logger.warn(e);
+    }
+  }
+
+  // the session is sealed with the secret (a device secret or a PIN) before being stored,
+  // keys and refresh token are never stored in plaintext. Whoever gets the storage can try secrets
+  // offline, PBKDF2 only slows this down: a 4 digit PIN falls quickly, only a random device secret
+  // (kept in the OS keychain for example) or a long passphrase really protects the keys
+  async saveSession(secret) {
+    if (!this.refreshToken || !this.rsaKeys || !this.ecdsaKeys) {
+      throw new AuthenticationError('NO_SESSION', { code: 'NOT_LOGGED_IN' });
+    }
+
+    const session = {
+      refreshToken: this.refreshToken,
+      rsaPrivateKey: await this.crypto.exportKey(this.rsaKeys.private_key),
+      ecdsaPrivateKey: await this.crypto.exportKey(this.ecdsaKeys.private_key),
+      gladysInstance: this.gladysInstance,
+    };
+
+    const sealedSession = await this.crypto.sealData(secret, JSON.stringify(session));
+    await this.sessionStorage.set(SESSION_STORAGE_KEY, JSON.stringify(sealedSession));
+  }
+
+  // brings back the session saved with saveSession, returns null if there is none
+  // the result can be given to userConnect: userConnect(session.refreshToken, session.serializedKeys)
+  async restoreSession(secret) {
+    const sealedSession = await this.sessionStorage.get(SESSION_STORAGE_KEY);
+    if (!sealedSession) {
+      return null;
+    }
+
+    const session = JSON.parse(await this.crypto.unsealData(secret, JSON.parse(sealedSession)));
+
+    this.isInstance = false;
+    this.refreshToken = session.refreshToken;
+    this.rsaKeys = {
+      private_key: await this.crypto.importKey(session.rsaPrivateKey, 'RSA-OEAP', false),
+    };
+    this.ecdsaKeys = {
+      private_key: await this.crypto.importKey(session.ecdsaPrivateKey, 'ECDSA', false),
+    };
+
+    if (session.gladysInstance) {
+      await this.setGladysInstance(session.gladysInstance);
+    }
+
+    return {
+      refreshToken: session.refreshToken,
+      serializedKeys: JSON.stringify({
+        rsaPrivateKey: session.rsaPrivateKey,
+        ecdsaPrivateKey: session.ecdsaPrivateKey,
+      }),
+      gladysInstance: this.gladysInstance,
+    };
+  }
+
+  async clearSession() {
+    await this.sessionStorage.remove(SESSION_STORAGE_KEY);
+  }
+
   async loginInstance(twoFactorToken, twoFactorCode) {
+    if (!twoFactorCode) {
+      throw new TwoFactorRequiredError(undefined, { twoFactorToken });
+    }
+
     const loginData = (
-      await axios.post(
-        `${this.serverUrl}/users/login-two-factor`,
-        { two_factor_code: twoFactorCode, device_name: 'Gladys Instance' },
-        {
-          headers: {
-            authorization: twoFactorToken,
+      await axios
+        .post(
+          `${this.serverUrl}/users/login-two-factor`,
+          { two_factor_code: twoFactorCode, device_name: 'Gladys Instance' },
+          {
+            headers: {
+              authorization: twoFactorToken,
+            },
           },
-        },
-      )
+        )
+        .catch(throwAuthenticationError)
     ).data;
 
     this.accessToken = loginData.access_token;
     this.refreshToken = loginData.refreshToken;
+    this.scheduleAccessTokenRenewal();
 
     return {
       accessToken: this.accessToken,
@@ -274,11 +578,13 @@ class GladysGatewayJs {
     };
 
     const createdInstance = (
-      await axios.post(`${this.serverUrl}/instances`, instance, {
-        headers: {
-          authorization: this.accessToken,
-        },
-      })
+      await axios
+        .post(`${this.serverUrl}/instances`, instance, {
+          headers: {
+            authorization: this.accessToken,
+          },
+        })
+        .catch(throwHttpError)
     ).data;
 
     this.gladysInstance = createdInstance;
@@ -296,69 +602,124 @@ class GladysGatewayJs {
 
   async configureTwoFactor(accessToken) {
     return (
-      await axios.post(
-        `${this.serverUrl}/users/two-factor-configure`,
-        {},
-        {
-          headers: {
-            authorization: accessToken,
+      await axios
+        .post(
+          `${this.serverUrl}/users/two-factor-configure`,
+          {},
+          {
+            headers: {
+              authorization: accessToken,
+            },
           },
-        },
-      )
+        )
+        .catch(throwHttpError)
     ).data;
   }
 
   async enableTwoFactor(accessToken, twoFactorCode) {
     return (
-      await axios.post(
-        `${this.serverUrl}/users/two-factor-enable`,
-        { two_factor_code: twoFactorCode },
-        {
-          headers: {
-            authorization: accessToken,
+      await axios
+        .post(
+          `${this.serverUrl}/users/two-factor-enable`,
+          { two_factor_code: twoFactorCode },
+          {
+            headers: {
+              authorization: accessToken,
+            },
           },
-        },
-      )
+        )
+        .catch(throwAuthenticationError)
     ).data;
   }
 
   async confirmEmail(token) {
     return (
-      await axios.post(`${this.serverUrl}/users/verify`, {
-        email_confirmation_token: token,
-      })
+      await axios
+        .post(`${this.serverUrl}/users/verify`, {
+          email_confirmation_token: token,
+        })
+        .catch(throwHttpError)
     ).data;
   }
 
   async getAccessToken(refreshToken) {
     return (
-      await axios.get(`${this.serverUrl}/users/access-token`, {
-        headers: {
-          authorization: refreshToken,
-        },
-      })
+      await axios
+        .get(`${this.serverUrl}/users/access-token`, {
+          headers: {
+            authorization: refreshToken,
+          },
+        })
+        .catch(throwAuthenticationError)
     ).data.access_token;
   }
 
   async getAccessTokenInstance(refreshToken) {
     return (
-      await axios.get(`${this.serverUrl}/instances/access-token`, {
-        headers: {
-          authorization: refreshToken,
-        },
-      })
+      await axios
+        .get(`${this.serverUrl}/instances/access-token`, {
+          headers: {
+            authorization: refreshToken,
+          },
+        })
+        .catch(throwAuthenticationError)
     ).data.access_token;
   }
 
+  // renews the access token shortly before it expires, so long idle sessions don't start with a burst of 401
+  scheduleAccessTokenRenewal() {
+    const expiration = this.accessToken ? getTokenExpiration(this.accessToken) : null;
+    if (!this.refreshToken || expiration === null) {
+      this.cancelAccessTokenRenewal();
+      return;
+    }
+    this.startAccessTokenRenewalTimer(Math.max(0, expiration - Date.now() - ACCESS_TOKEN_RENEWAL_MARGIN));
+  }
+
+  startAccessTokenRenewalTimer(delay) {
+    this.cancelAccessTokenRenewal();
+    this.accessTokenRenewalTimer = setTimeout(this.renewAccessToken, Math.min(delay, MAX_TIMER_DELAY));
+    // the timer alone should not keep the process running
+    if (this.accessTokenRenewalTimer.unref) {
+      this.accessTokenRenewalTimer.unref();
+    }
+  }
+
+  cancelAccessTokenRenewal() {
+    if (this.accessTokenRenewalTimer) {
+      clearTimeout(this.accessTokenRenewalTimer);
+      this.accessTokenRenewalTimer = null;
+    }
+  }
+
+  async renewAccessToken() {
+    try {
+      await requestApi.refreshAccessToken(this);
+    } catch (e) {
+      // when the refresh token is rejected, the session has already been expired
+      if (!requestApi.isSessionExpired(e)) {
+        this.logger.warn('Gladys Gateway: Unable to renew access token, retrying later.');
+        this.logger.warn(e);
+        this.startAccessTokenRenewalTimer(ACCESS_TOKEN_RENEWAL_RETRY_DELAY);
+      }
+    }
+  }
+
+  expireSession(err) {
+    this.cancelAccessTokenRenewal();
+    this.logger.warn('Gladys Gateway: Refresh token rejected, session has expired.');
+    this.emit('session-expired', err);
+  }
+
   /**
    * Frontend API
    */
 
-  async getMyself() {
-    return requestApi.get(`${this.serverUrl}/users/me`, this);
+  async getMyself(options) {
+    return requestApi.get(`${this.serverUrl}/users/me`, this, options);
   }
 
-  async updateMyself(rawName, rawEmail, rawPassword, rawLanguage) {
+  async updateMyself(rawName, rawEmail, rawPassword, rawLanguage, options) {
     const email = rawEmail.trim().toLowerCase();
     const name = rawName.trim();
     const language = rawLanguage.trim().substr(0, 2).toLowerCase();
@@ -396,20 +757,21 @@ class GladysGatewayJs {
       newUser.ecdsa_encrypted_private_key = JSON.stringify(ecdsaEncryptedPrivateKey);
     }
 
-    return requestApi.patch(`${this.serverUrl}/users/me`, newUser, this);
+    return requestApi.patch(`${this.serverUrl}/users/me`, newUser, this, options);
   }
 
-  async updateUserIdInGladys(userIdInGladys) {
+  async updateUserIdInGladys(userIdInGladys, options) {
     return requestApi.patch(
       `${this.serverUrl}/users/me`,
       {
         gladys_4_user_id: userIdInGladys,
       },
       this,
+      options,
     );
   }
 
-  async updateBackupKey(backupKey) {
+  async updateBackupKey(backupKey, options) {
     const encryptedBackupKey = await this.crypto.encryptMessage(
       this.rsaKeys.public_key,
       this.ecdsaKeys.private_key,
@@ -421,6 +783,7 @@ class GladysGatewayJs {
         encrypted_backup_key: encryptedBackupKey,
       },
       this,
+      options,
     );
   }
 
@@ -434,15 +797,15 @@ class GladysGatewayJs {
     return decryptedBackupKey;
   }
 
-  async forgotPassword(email) {
-    return requestApi.post(`${this.serverUrl}/users/forgot-password`, { email }, this);
+  async forgotPassword(email, options) {
+    return requestApi.post(`${this.serverUrl}/users/forgot-password`, { email }, this, options);
   }
 
-  async getResetPasswordEmail(resetToken) {
-    return requestApi.get(`${this.serverUrl}/users/reset-password/${resetToken}`, this);
+  async getResetPasswordEmail(resetToken, options) {
+    return requestApi.get(`${this.serverUrl}/users/reset-password/${resetToken}`, this, options);
   }
 
-  async resetPassword(rawEmail, rawPassword, resetToken, twoFactorCode) {
+  async resetPassword(rawEmail, rawPassword, resetToken, twoFactorCode, options) {
     // we generate a new srp verifier and new keys
     const {
       srpSalt,
@@ -464,123 +827,130 @@ class GladysGatewayJs {
       ecdsa_encrypted_private_key: JSON.stringify(ecdsaEncryptedPrivateKey),
     };
 
-    return requestApi.post(`${this.serverUrl}/users/reset-password`, data, this);
+    return requestApi.post(`${this.serverUrl}/users/reset-password`, data, this, options);
   }
 
-  async getUsersInAccount() {
-    return requestApi.get(`${this.serverUrl}/accounts/users`, this);
+  async getUsersInAccount(options) {
+    return requestApi.get(`${this.serverUrl}/accounts/users`, this, options);
   }
 
-  async getInvoices() {
-    return requestApi.get(`${this.serverUrl}/accounts/invoices`, this);
+  async getInvoices(options) {
+    return requestApi.get(`${this.serverUrl}/accounts/invoices`, this, options);
   }
 
-  async getDevices() {
-    return requestApi.get(`${this.serverUrl}/users/me/devices`, this);
+  async getDevices(options) {
+    return requestApi.get(`${this.serverUrl}/users/me/devices`, this, options);
   }
 
-  async revokeDevice(deviceId) {
-    return requestApi.post(`${this.serverUrl}/devices/${deviceId}/revoke`, {}, this);
+  async revokeDevice(deviceId, options) {
+    return requestApi.post(`${this.serverUrl}/devices/${deviceId}/revoke`, {}, this, options);
   }
 
-  async inviteUser(email, role) {
-    return requestApi.post(`${this.serverUrl}/invitations`, { email, role }, this);
+  async inviteUser(email, role, options) {
+    return requestApi.post(`${this.serverUrl}/invitations`, { email, role }, this, options);
   }
 
-  async getInvitation(token) {
-    return requestApi.get(`${this.serverUrl}/invitations/${token}`, this);
+  async getInvitation(token, options) {
+    return requestApi.get(`${this.serverUrl}/invitations/${token}`, this, options);
   }
 
-  async revokeInvitation(invitationId) {
-    return requestApi.post(`${this.serverUrl}/invitations/${invitationId}/revoke`, {}, this);
+  async revokeInvitation(invitationId, options) {
+    return requestApi.post(`${this.serverUrl}/invitations/${invitationId}/revoke`, {}, this, options);
   }
 
-  async revokeUser(userId) {
-    return requestApi.post(`${this.serverUrl}/accounts/users/${userId}/revoke`, {}, this);
+  async revokeUser(userId, options) {
+    return requestApi.post(`${this.serverUrl}/accounts/users/${userId}/revoke`, {}, this, options);
   }
 
-  async getSetupState() {
-    return requestApi.get(`${this.serverUrl}/users/setup`, this);
+  async getSetupState(options) {
+    return requestApi.get(`${this.serverUrl}/users/setup`, this, options);
   }
 
-  async getCurrentPlan() {
-    return requestApi.get(`${this.serverUrl}/accounts/plan`, this);
+  async getCurrentPlan(options) {
+    return requestApi.get(`${this.serverUrl}/accounts/plan`, this, options);
   }
 
-  async upgradeMonthlyToYearly() {
-    return requestApi.post(`${this.serverUrl}/accounts/upgrade-to-yearly`, {}, this);
+  async upgradeMonthlyToYearly(options) {
+    return requestApi.post(`${this.serverUrl}/accounts/upgrade-to-yearly`, {}, this, options);
   }
 
-  async subcribeMonthlyPlan(sourceId) {
-    return requestApi.post(`${this.serverUrl}/accounts/subscribe`, { stripe_source_id: sourceId }, this);
+  async subcribeMonthlyPlan(sourceId, options) {
+    return requestApi.post(`${this.serverUrl}/accounts/subscribe`, { stripe_source_id: sourceId }, this, options);
   }
 
-  async subcribeMonthlyPlanWithoutAccount(email, language, sourceId) {
+  async subcribeMonthlyPlanWithoutAccount(email, language, sourceId, options) {
     return requestApi.post(
       `${this.serverUrl}/accounts/subscribe/new`,
       { email, language, stripe_source_id: sourceId },
       this,
+      options,
     );
   }
 
-  async reSubcribeMonthlyPlan() {
-    return requestApi.post(`${this.serverUrl}/accounts/resubscribe`, {}, this);
+  async reSubcribeMonthlyPlan(options) {
+    return requestApi.post(`${this.serverUrl}/accounts/resubscribe`, {}, this, options);
+  }
+
+  async updateCard(sourceId, options) {
+    return requestApi.patch(`${this.serverUrl}/accounts/source`, { stripe_source_id: sourceId }, this, options);
   }
 
-  async updateCard(sourceId) {
-    return requestApi.patch(`${this.serverUrl}/accounts/source`, { stripe_source_id: sourceId }, this);
+  async getCard(options) {
+    return requestApi.get(`${this.serverUrl}/accounts/source`, this, options);
   }
 
-  async getCard() {
-    return requestApi.get(`${this.serverUrl}/accounts/source`, this);
+  async cancelMonthlyPlan(options) {
+    return requestApi.post(`${this.serverUrl}/accounts/cancel`, {}, this, options);
   }
 
-  async cancelMonthlyPlan() {
-    return requestApi.post(`${this.serverUrl}/accounts/cancel`, {}, this);
+  async createApiKey(name, options) {
+    return requestApi.post(`${this.serverUrl}/open-api-keys`, { name }, this, options);
   }
 
-  async createApiKey(name) {
-    return requestApi.post(`${this.serverUrl}/open-api-keys`, { name }, this);
+  async getApiKeys(options) {
+    return requestApi.get(`${this.serverUrl}/open-api-keys`, this, options);
   }
 
-  async getApiKeys() {
-    return requestApi.get(`${this.serverUrl}/open-api-keys`, this);
+  async updateApiKeyName(id, name, options) {
+    return requestApi.post(`${this.serverUrl}/open-api-keys/${id}`, { name }, this, options);
   }
 
-  async updateApiKeyName(id, name) {
-    return requestApi.post(`${this.serverUrl}/open-api-keys/${id}`, { name }, this);
+  async revokeApiKey(id, options) {
+    return requestApi.delete(`${this.serverUrl}/open-api-keys/${id}`, this, options);
   }
 
-  async revokeApiKey(id) {
-    return requestApi.delete(`${this.serverUrl}/open-api-keys/${id}`, this);
+  async googleHomeAuthorize(body, options) {
+    return requestApi.post(`${this.serverUrl}/google/authorize`, body, this, options);
   }
 
-  async googleHomeAuthorize(body) {
-    return requestApi.post(`${this.serverUrl}/google/authorize`, body, this);
+  async googleHomeRequestSync(options) {
+    return requestApi.post(`${this.serverUrl}/google/request_sync`, {}, this, options);
   }
 
-  async googleHomeRequestSync() {
-    return requestApi.post(`${this.serverUrl}/google/request_sync`, {}, this);
+  async googleHomeReportState(body, options) {
+    return requestApi.post(`${this.serverUrl}/google/report_state`, body, this, options);
   }
 
-  async googleHomeReportState(body) {
-    return requestApi.post(`${this.serverUrl}/google/report_state`, body, this);
+  async alexaAuthorize(body, options) {
+    return requestApi.post(`${this.serverUrl}/alexa/authorize`, body, this, options);
   }
 
-  async alexaAuthorize(body) {
-    return requestApi.post(`${this.serverUrl}/alexa/authorize`, body, this);
+  async alexaRequestSync(options) {
+    return requestApi.post(`${this.serverUrl}/alexa/request_sync`, {}, this, options);
   }
 
-  async alexaRequestSync() {
-    return requestApi.post(`${this.serverUrl}/alexa/request_sync`, {}, this);
+  async alexaReportState(body, options) {
+    return requestApi.post(`${this.serverUrl}/alexa/report_state`, body, this, options);
   }
 
-  async alexaReportState(body) {
-    return requestApi.post(`${this.serverUrl}/alexa/report_state`, body, this);
+  async listInstances(options) {
+    const instances = await requestApi.get(`${this.serverUrl}/instances`, this, options);
+    await Promise.all(instances.map((instance) => this.getInstanceKeys(instance)));
+    return instances;
   }
 
-  async getInstance() {
-    const instances = await requestApi.get(`${this.serverUrl}/instances`, this);
+  async getInstance(options) {
+    const instances = await this.listInstances(options);
 
     let instance = null;
     let i = 0;
@@ -593,19 +963,157 @@ class GladysGatewayJs {
     }
 
     if (instance) {
-      this.gladysInstance = instance;
-
-      this.gladysInstancePublicKey = await this.crypto.importKey(JSON.parse(instance.rsa_public_key), 'RSA-OEAP', true);
-      this.gladysInstanceEcdsaPublicKey = await this.crypto.importKey(
-        JSON.parse(instance.ecdsa_public_key),
-        'ECDSA',
-        true,
-      );
+      await this.setGladysInstance(instance);
     }
 
     return instance;
   }
 
+  async setGladysInstance(instance) {
+    const { rsaPublicKey, ecdsaPublicKey, keyChanged } = await this.getInstanceKeys(instance);
+
+    this.instanceKeyChanged = keyChanged;
+    this.gladysInstance = instance;
+    this.gladysInstancePublicKey = rsaPublicKey;
+    this.gladysInstanceEcdsaPublicKey = ecdsaPublicKey;
+  }
+
+  // public keys are imported once per instance, and again only when they change
+  async getInstanceKeys(instance) {
+    const cached = this.instancesKeys[instance.id];
+    if (
+      cached &&
+      cached.rsaPublicKeyRaw === instance.rsa_public_key &&
+      cached.ecdsaPublicKeyRaw === instance.ecdsa_public_key
+    ) {
+      cached.instance = instance;
+      return cached;
+    }
+
+    const instanceKeys = {
+      id: instance.id,
+      instance,
+      rsaPublicKeyRaw: instance.rsa_public_key,
+      ecdsaPublicKeyRaw: instance.ecdsa_public_key,
+      rsaPublicKey: await this.crypto.importKey(JSON.parse(instance.rsa_public_key), 'RSA-OEAP', true),
+      ecdsaPublicKey: await this.crypto.importKey(JSON.parse(instance.ecdsa_public_key), 'ECDSA', true),
+      keyChanged: await this.checkInstanceKeysPin(instance),
+    };
+    this.instancesKeys[instance.id] = instanceKeys;
+    return instanceKeys;
+  }
+
+  // keys of the instance a message is sent to, or received from. The primary instance when instanceId is null
+  async getInstanceTarget(instanceId) {
+    if (instanceId === null || (this.gladysInstance && this.gladysInstance.id === instanceId)) {
+      if (!this.gladysInstancePublicKey) {
+        throw new InstanceNotFoundError();
+      }
+      if (!this.gladysInstance || !this.gladysInstance.id) {
+        throw new InstanceNotFoundError('NO_INSTANCE_ID_DETECTED');
+      }
+      return {
+        id: this.gladysInstance.id,
+        rsaPublicKey: this.gladysInstancePublicKey,
+        ecdsaPublicKey: this.gladysInstanceEcdsaPublicKey,
+        keyChanged: this.instanceKeyChanged,
+      };
+    }
+
+    if (!this.instancesKeys[instanceId]) {
+      await this.listInstances();
+    }
+    if (!this.instancesKeys[instanceId]) {
+      throw new InstanceNotFoundError();
+    }
+    return this.instancesKeys[instanceId];
+  }
+
+  // returns the key change of the instance, or null when its keys are the pinned ones
+  async checkInstanceKeysPin(instance) {
+    const fingerprints = {
+      rsaPublicKeyFingerprint: await this.crypto.generateFingerprint(instance.rsa_public_key),
+      ecdsaPublicKeyFingerprint: await this.crypto.generateFingerprint(instance.ecdsa_public_key),
+    };
+
+    // the ECDSA key is pinned as well, to check the signature of the next key rotation
+    const pin = { ...fingerprints, ecdsaPublicKey: instance.ecdsa_public_key };
+
+    const pinned = await this.keyPinStore.get(instance.id);
+
+    // first time we see this instance, we trust its keys
+    if (!pinned) {
+      await this.keyPinStore.set(instance.id, pin);
+      return null;
+    }
+
+    if (isSamePin(pinned, fingerprints)) {
+      return null;
+    }
+
+    // the instance rotated its keys, and signed the new ones with the key we pinned. The
+    // rotation is published with the instance, so users offline at that time trust it too
+    if (await this.isSignedKeyRotation(pinned, fingerprints, instance.key_rotation)) {
+      this.logger.debug(`gladys-gateway-js: Instance ${instance.id} rotated its keys`);
+      await this.keyPinStore.set(instance.id, pin);
+      return null;
+    }
+
+    // keys are not the one we pinned, nothing is sent until the user re-verifies them
+    this.logger.warn(`Gladys Gateway: Keys of instance ${instance.id} have changed!`);
+    const keyChanged = {
+      instanceId: instance.id,
+      oldFingerprints: pinned,
+      newFingerprints: fingerprints,
+    };
+    this.emit('instance-key-changed', keyChanged);
+    return keyChanged;
+  }
+
+  // trusts the new keys of the instance, the primary one by default
+  async trustInstanceKeys(instanceId = this.gladysInstance && this.gladysInstance.id) {
+    const instanceKeys = this.instancesKeys[instanceId];
+    const keyChanged = instanceKeys ? instanceKeys.keyChanged : null;
+    if (!keyChanged) {
+      return;
+    }
+    await this.keyPinStore.set(instanceId, {
+      ...keyChanged.newFingerprints,
+      ecdsaPublicKey: instanceKeys.ecdsaPublicKeyRaw,
+    });
+    instanceKeys.keyChanged = null;
+    if (this.gladysInstance && this.gladysInstance.id === instanceId) {
+      this.instanceKeyChanged = null;
+    }
+  }
+
+  // only the latest rotation is published, users who missed several rotations re-verify the keys
+  async isSignedKeyRotation(pinned, fingerprints, keyRotation) {
+    if (!keyRotation || !pinned.ecdsaPublicKey) {
+      return false;
+    }
+    if (
+      keyRotation.rsa_public_key_fingerprint !== fingerprints.rsaPublicKeyFingerprint ||
+      keyRotation.ecdsa_public_key_fingerprint !== fingerprints.ecdsaPublicKeyFingerprint
+    ) {
+      return false;
+    }
+    // pins stored by a store we don't control are checked as well
+    if ((await this.crypto.generateFingerprint(pinned.ecdsaPublicKey)) !== pinned.ecdsaPublicKeyFingerprint) {
+      return false;
+    }
+    try {
+      const ecdsaPublicKey = await this.crypto.importKey(JSON.parse(pinned.ecdsaPublicKey), 'ECDSA', true);
+      return await this.crypto.verifyData(
+        ecdsaPublicKey,
+        [fingerprints.rsaPublicKeyFingerprint, fingerprints.ecdsaPublicKeyFingerprint],
+        keyRotation.signature,
+      );
+    } catch (e) {
+      return false;
+    }
+  }
+
   async userConnect(refreshToken, serializedKeys, callback) {
     if (this.socket) {
       return Promise.resolve({ authenticated: true });
@@ -629,58 +1137,99 @@ class GladysGatewayJs {
     this.ecdsaKeys = ecdsaKeys;
 
     return new Promise((resolve, reject) => {
-      this.socket = io(this.serverUrl, {
+      this.createSocket({
         withCredentials: false,
       });
 
-      this.socket.on('connect', async () => {
-        try {
-          // we are connected, so we get a new access token
-          this.accessToken = await this.getAccessToken(refreshToken);
-        } catch (err) {
-          // refresh token is not good anymore
-          reject(err);
-
-          throw err;
-        }
-
+      this.authenticateOnConnect('user-authentication', async () => {
+        // we are connected, so we get a new access token
+        await requestApi.refreshAccessToken(this);
         // we get the instance
         await this.getInstance();
+      }).then(resolve, reject);
 
-        this.socket.emit('user-authentication', { access_token: this.accessToken }, async (res) => {
-          if (res.authenticated) {
-            this.logger.info('Gladys Gateway, connected in websocket');
-            resolve();
-          } else {
-            reject(res);
-          }
-        });
+      // the instance keys have changed, so we fetch them again. A rotation signed with the
+      // old keys is trusted without asking the user, see checkInstanceKeysPin
+      this.socket.on('clear-key-cache', async () => {
+        this.logger.debug('gladys-gateway-js: Refreshing instance keys');
+        try {
+          await this.getInstance();
+        } catch (e) {
+          // the keys we have are kept, they are fetched again on next connection
+          this.logger.warn('Gladys Gateway: Unable to refresh instance keys.');
+          this.logger.warn(e);
+        }
       });
 
       this.socket.on('hello', (instance) => {
         if (callback) {
           callback('hello', instance);
         }
+        this.emit('hello', instance);
       });
 
+      // messages can come from any instance of the user, the primary one when the server doesn't tell
       this.socket.on('message', async (message) => {
-        const decryptedMessage = await this.crypto.decryptMessage(
-          this.rsaKeys.private_key,
-          this.gladysInstanceEcdsaPublicKey,
-          message.encryptedMessage,
-        );
+        let instance;
+        try {
+          instance = await this.getInstanceTarget(message.instance_id || null);
+        } catch (e) {
+          this.logger.warn('Gladys Gateway: Message from an unknown instance, dropping it.');
+          this.logger.warn(e);
+          this.emit('message-error', e, message);
+          return;
+        }
+        const meta = { instance_id: instance.id };
+        if (instance.keyChanged) {
+          this.logger.warn('Gladys Gateway: Instance keys have changed, dropping message.');
+          this.emit(
+            'message-error',
+            new GatewayError('INSTANCE_KEY_CHANGED', { code: 'INSTANCE_KEY_CHANGED' }),
+            message,
+          );
+          return;
+        }
+        let decryptedMessage;
+        try {
+          decryptedMessage = await this.crypto.decryptMessage(
+            this.rsaKeys.private_key,
+            instance.ecdsaPublicKey,
+            message.encryptedMessage,
+            this.messageOptions,
+          );
+          this.rememberPeerCapabilities(instance.id, message.encryptedMessage);
+        } catch (e) {
+          this.logger.warn('Gladys Gateway: Unable to decrypt message, dropping it.');
+          this.logger.warn(e);
+          this.emit('message-error', e, message);
+          return;
+        }
+        if (isFragment(decryptedMessage)) {
+          const { fragment } = decryptedMessage;
+          try {
+            decryptedMessage = this.reassembler.push(`instance:${instance.id}:${fragment.id}`, fragment);
+          } catch (e) {
+            this.logger.warn('Gladys Gateway: Unable to reassemble fragmented message, dropping it.');
+            this.logger.warn(e);
+            this.emit('message-error', e, message);
+            return;
+          }
+          // message is not complete yet
+          if (decryptedMessage === null) {
+            return;
+          }
+          // it's the response of a request we sent, sendMessageGladys is waiting for it
+          if (fragment.response) {
+            this.reassembler.deliver(`instance:${instance.id}:${fragment.id}`, decryptedMessage);
+            return;
+          }
+        }
         if (callback) {
-          callback('message', decryptedMessage);
+          callback('message', decryptedMessage, meta);
         }
-      });
-
-      this.socket.on('disconnect', async (reason) => {
-        if (reason === 'io server disconnect') {
-          // the disconnection was initiated by the server, you need to reconnect manually
-          this.logger.warn('Socket disconnected by the server. Trying to reconnect...');
-          this.socket.connect();
-        } else {
-          this.logger.warn('Socket disconnected client side. Trying to reconnect...');
+        this.emit('message', decryptedMessage, meta);
+        if (decryptedMessage && decryptedMessage.type === 'gladys-event' && decryptedMessage.event) {
+          this.emit(`gladys-event:${decryptedMessage.event}`, decryptedMessage.data, decryptedMessage, meta);
         }
       });
     });
@@ -710,7 +1259,7 @@ class GladysGatewayJs {
       headers: {
         'user-agent': `Gladys/${currentGladysVersion}`,
       },
-    });
+    }).catch(throwHttpError);
 
     // Save data in cache
     this.lastEcowattCall = now;
@@ -723,40 +1272,132 @@ class GladysGatewayJs {
    * Admin API
    */
 
-  async adminGetAccounts() {
-    return requestApi.get(`${this.serverUrl}/admin/accounts`, this);
+  async adminGetAccounts(options) {
+    return requestApi.get(`${this.serverUrl}/admin/accounts`, this, options);
   }
 
-  async adminResendConfirmationEmail(accountId, language) {
-    return requestApi.post(`${this.serverUrl}/admin/accounts/${accountId}/resend`, { language }, this);
+  async adminResendConfirmationEmail(accountId, language, options) {
+    return requestApi.post(`${this.serverUrl}/admin/accounts/${accountId}/resend`, { language }, this, options);
   }
 
   /**
    * Enedis frontend API
    */
 
-  async initializeEnedis() {
-    return requestApi.get(`${this.serverUrl}/enedis/initialize`, this);
+  async initializeEnedis(options) {
+    return requestApi.get(`${this.serverUrl}/enedis/initialize`, this, options);
   }
 
-  async enedisGetSync() {
-    return requestApi.get(`${this.serverUrl}/enedis/sync`, this);
+  async enedisGetSync(options) {
+    return requestApi.get(`${this.serverUrl}/enedis/sync`, this, options);
   }
 
-  async finalizeEnedis(body) {
-    return requestApi.post(`${this.serverUrl}/enedis/finalize`, body, this);
+  async finalizeEnedis(body, options) {
+    return requestApi.post(`${this.serverUrl}/enedis/finalize`, body, this, options);
   }
 
-  async enedisRefreshAllData() {
-    return requestApi.post(`${this.serverUrl}/enedis/refresh_all`, {}, this);
+  async enedisRefreshAllData(options) {
+    return requestApi.post(`${this.serverUrl}/enedis/refresh_all`, {}, this, options);
   }
 
   /**
    * Instance API
    */
 
-  async getUsersInstance() {
-    return requestApi.get(`${this.serverUrl}/instances/users`, this);
+  async getUsersInstance(options) {
+    return requestApi.get(`${this.serverUrl}/instances/users`, this, options);
+  }
+
+  // creates the socket, and emits its lifecycle events
+  createSocket(options) {
+    this.socket = io(this.serverUrl, options);
+    this.setConnectionState('connecting');
+
+    this.socket.io.on('reconnect_attempt', (attempt) => {
+      this.setConnectionState('reconnecting', attempt);
+    });
+
+    this.socket.on('disconnect', async (reason) => {
+      this.setConnectionState('disconnected', reason);
+      if (reason === 'io server disconnect') {
+        // the disconnection was initiated by the server, you need to reconnect manually
+        this.logger.warn('Socket disconnected by the server. Trying to reconnect...');
+        this.socket.connect();
+      } else if (reason !== 'io client disconnect') {
+        this.logger.warn('Socket disconnected client side. Trying to reconnect...');
+      }
+    });
+  }
+
+  setConnectionState(state, ...args) {
+    this.connectionState = state;
+    this.emit(state, ...args);
+  }
+
+  // the socket is authenticated on connection, and again after every reconnection.
+  // The returned promise settles with the first authentication.
+  authenticateOnConnect(authenticationEvent, prepareAuthentication) {
+    return new Promise((resolve, reject) => {
+      this.socket.on('connect', async () => {
+        this.setConnectionState('connected');
+        try {
+          await this.authenticateSocket(authenticationEvent, prepareAuthentication);
+        } catch (e) {
+          // the connection was lost during authentication, we'll authenticate again on reconnection
+          if (!this.socket.connected) {
+            this.logger.warn('Gladys Gateway: Connection lost during authentication.');
+            this.logger.warn(e);
+            return;
+          }
+          this.logger.warn('Gladys Gateway: Socket authentication failed.');
+          this.logger.warn(e);
+          this.socket.disconnect();
+          this.emit('auth-failed', e);
+          reject(e);
+          return;
+        }
+        this.logger.info('Gladys Gateway: connected in websockets');
+        this.setConnectionState('authenticated');
+        resolve();
+        if (this.isInstance) {
+          await this.flushOutboundQueue();
+        }
+      });
+    });
+  }
+
+  async authenticateSocket(authenticationEvent, prepareAuthentication) {
+    return retry(
+      async () => {
+        await prepareAuthentication();
+        const authentication = { access_token: this.accessToken, envelope_formats: SUPPORTED_FORMATS };
+        const res = await new Promise((resolve, reject) => {
+          this.socket
+            .timeout(SOCKET_AUTHENTICATION_TIMEOUT)
+            .emit(authenticationEvent, authentication, (err, response) =>
+              err
+                ? reject(new GatewayTimeoutError(SOCKET_AUTHENTICATION_TIMEOUT, undefined, { cause: err }))
+                : resolve(response),
+            );
+        });
+        if (!res || !res.authenticated) {
+          const error = new AuthenticationError();
+          error.response = res;
+          throw error;
+        }
+        this.serverEnvelopeFormats = res.envelope_formats || [JSON_FORMAT];
+        return res;
+      },
+      {
+        retries: SOCKET_AUTHENTICATION_RETRIES,
+        // a revoked refresh token won't get better, and a new connection will authenticate again
+        shouldRetry: (e) => this.socket.connected && !requestApi.isSessionExpired(e),
+        onRetry: (e, attempt, delay) => {
+          this.logger.warn(`Gladys Gateway: Socket authentication failed, retry ${attempt} in ${delay}ms`);
+          this.logger.warn(e);
+        },
+      },
+    );
   }
 
   async generateFingerprint(key) {
@@ -768,24 +1409,26 @@ class GladysGatewayJs {
     // first, we get all users in instance
     const users = await this.getUsersInstance();
 
-    users.forEach(async (user) => {
-      // if the user is not in cache
-      if (!this.keysDictionnary[user.id]) {
-        // we cache the keys for later use
-        this.keysDictionnary[user.id] = {
-          id: user.id,
-          connected: user.connected,
-          gladys_4_user_id: user.gladys_4_user_id,
-          ecdsaPublicKey: await this.crypto.importKey(JSON.parse(user.ecdsa_public_key), 'ECDSA', true),
-          rsaPublicKey: await this.crypto.importKey(JSON.parse(user.rsa_public_key), 'RSA-OEAP', true),
-          ecdsaPublicKeyRaw: user.ecdsa_public_key,
-          rsaPublicKeyRaw: user.rsa_public_key,
-        };
-      } else {
-        // if the user is already in cache, we just save his connected status
-        this.keysDictionnary[user.id].connected = user.connected;
-      }
-    });
+    await Promise.all(
+      users.map(async (user) => {
+        // if the user is not in cache
+        if (!this.keysDictionnary[user.id]) {
+          // we cache the keys for later use
+          this.keysDictionnary[user.id] = {
+            id: user.id,
+            connected: user.connected,
+            gladys_4_user_id: user.gladys_4_user_id,
+            ecdsaPublicKey: await this.crypto.importKey(JSON.parse(user.ecdsa_public_key), 'ECDSA', true),
+            rsaPublicKey: await this.crypto.importKey(JSON.parse(user.rsa_public_key), 'RSA-OEAP', true),
+            ecdsaPublicKeyRaw: user.ecdsa_public_key,
+            rsaPublicKeyRaw: user.rsa_public_key,
+          };
+        } else {
+          // if the user is already in cache, we just save his connected status
+          this.keysDictionnary[user.id].connected = user.connected;
+        }
+      }),
+    );
   }
 
   async instanceConnect(refreshToken, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk, callbackMessage) {
@@ -794,6 +1437,7 @@ class GladysGatewayJs {
       this.socket.disconnect();
     }
     // clean current this
+    this.cancelAccessTokenRenewal();
     this.socket = null;
     this.accessToken = null;
 
@@ -811,12 +1455,19 @@ class GladysGatewayJs {
     };
 
     return new Promise((resolve, reject) => {
-      this.socket = io(this.serverUrl);
+      this.createSocket();
 
       // Open API message
       // By definition, those messages cannot be E2E encrypted
       // because the recipient is a third-party
       this.socket.on('open-api-message', async (data, fn) => {
+        const error = await this.checkOpenApiMessage(data);
+        if (error) {
+          this.logger.warn(`Gladys Gateway: Open API message from key ${data && data.api_key_id} rejected.`);
+          this.logger.warn(error);
+          fn(error);
+          return;
+        }
         callbackMessage(data, data, async (response) => {
           fn(response);
         });
@@ -828,7 +1479,12 @@ class GladysGatewayJs {
 
         // if we don't have the key in RAM, we refresh the user list
         if (!this.keysDictionnary[data.sender_id]) {
-          await this.refreshUsersList();
+          try {
+            await this.refreshUsersList();
+          } catch (e) {
+            this.logger.warn('Gladys Gateway: Unable to refresh users list.');
+            this.logger.warn(e);
+          }
         }
 
         if (this.keysDictionnary[data.sender_id]) {
@@ -836,53 +1492,95 @@ class GladysGatewayJs {
           rsaPublicKey = this.keysDictionnary[data.sender_id].rsaPublicKey; // eslint-disable-line
           data.ecdsaPublicKeyRaw = this.keysDictionnary[data.sender_id].ecdsaPublicKeyRaw;
           data.rsaPublicKeyRaw = this.keysDictionnary[data.sender_id].rsaPublicKeyRaw;
+          data.gladys_4_user_id = this.keysDictionnary[data.sender_id].gladys_4_user_id;
         }
 
         if (ecdsaPublicKey == null || rsaPublicKey == null) {
-          throw new Error('User not found');
+          this.logger.warn(`Gladys Gateway: Message from unknown user ${data.sender_id}, dropping it.`);
+          fn({ status: 404, error_code: 'USER_NOT_FOUND' });
+          return;
         }
 
-        const decryptedMessage = await this.crypto.decryptMessage(
-          this.rsaKeys.private_key,
-          ecdsaPublicKey,
-          data.encryptedMessage,
-        );
+        let decryptedMessage;
+        let ecdsaPrivateKey;
+        try {
+          ({ decryptedMessage, ecdsaPrivateKey } = await this.decryptMessageInstance(
+            ecdsaPublicKey,
+            data.encryptedMessage,
+          ));
+          this.rememberPeerCapabilities(data.sender_id, data.encryptedMessage);
+        } catch (e) {
+          this.logger.warn('Gladys Gateway: Unable to decrypt message, dropping it.');
+          this.logger.warn(e);
+          fn({ status: 400, error_code: e.code || 'INVALID_MESSAGE' });
+          return;
+        }
 
-        callbackMessage(decryptedMessage, data, async (response) => {
-          const encryptedResponse = await this.crypto.encryptMessage(
+        const encryptForSender = (message) =>
+          this.crypto.encryptMessage(
             rsaPublicKey,
-            this.ecdsaKeys.private_key,
-            response,
+            ecdsaPrivateKey,
+            message,
+            true,
+            this.getEncryptOptions(data.sender_id),
           );
-          fn(encryptedResponse);
-        });
-      });
 
-      this.socket.on('connect', async () => {
-        try {
-          // we are connected, we get an access token
-          this.accessToken = await this.getAccessTokenInstance(this.refreshToken);
-
-          // refresh user list
-          await this.refreshUsersList();
-        } catch (e) {
-          this.logger.warn('Gladys Gateway: Unable to get new access token or refresh user list.');
-          this.logger.warn(e);
-          return reject(e);
+        if (isFragment(decryptedMessage)) {
+          const { fragment } = decryptedMessage;
+          try {
+            decryptedMessage = this.reassembler.push(`${data.sender_id}:${fragment.id}`, fragment);
+          } catch (e) {
+            this.logger.warn('Gladys Gateway: Unable to reassemble fragmented message, dropping it.');
+            this.logger.warn(e);
+            fn({ status: 400, error_code: e.message });
+            return;
+          }
+          // message is not complete yet, we acknowledge the fragment so the user sends the next one
+          if (decryptedMessage === null) {
+            fn(await encryptForSender(createFragmentAck(fragment)));
+            return;
+          }
         }
 
-        this.socket.emit('instance-authentication', { access_token: this.accessToken }, async (res) => {
-          if (res.authenticated) {
-            this.logger.info('Gladys Gateway: connected in websockets');
-            resolve();
-          } else {
-            this.logger.warn('Gladys Gateway: instance authentication failed.');
-            reject();
+        const reply = async (response) => {
+          const responseId = this.crypto.generateRandomId();
+          const fragments = this.acceptsFragments(data.sender_id)
+            ? splitMessage(response, responseId, { fragmentSize: this.fragmentSize, response: true })
+            : null;
+
+          if (fragments === null) {
+            const encryptedResponse = await encryptForSender(response);
+            fn(encryptedResponse);
+            return;
           }
-        });
-        return null;
+
+          // response is too big, fragments are sent as messages to the user
+          // and the acknowledgement only tells which fragmented response to wait for
+          await mapSeries(fragments, async (fragment) => {
+            const encryptedFragment = await encryptForSender(fragment);
+            this.socket.emit('message', {
+              user_id: data.sender_id,
+              encryptedMessage: encryptedFragment,
+              sent_at: new Date().getTime(),
+            });
+          });
+          fn(await encryptForSender(createFragmentedResponse(responseId)));
+        };
+
+        if (decryptedMessage && decryptedMessage.type === 'gladys-api-call' && this.router.hasRoutes()) {
+          await reply(await this.router.handle(decryptedMessage, data));
+        } else {
+          callbackMessage(decryptedMessage, data, reply);
+        }
       });
 
+      this.authenticateOnConnect('instance-authentication', async () => {
+        // we are connected, we get an access token
+        await requestApi.refreshAccessToken(this);
+        // refresh user list
+        await this.refreshUsersList();
+      }).then(resolve, reject);
+
       // it means one user has updated his keys, so clearing key cache
       this.socket.on('clear-key-cache', async () => {
         this.logger.debug('gladys-gateway-js: Clearing key cache');
@@ -895,18 +1593,185 @@ class GladysGatewayJs {
       this.socket.on('clear-connected-users-list', async () => {
         this.logger.debug('gladys-gateway-js: Updating connected user list');
         await this.refreshUsersList();
+        await this.flushOutboundQueue();
       });
+    });
+  }
 
-      this.socket.on('disconnect', async (reason) => {
-        if (reason === 'io server disconnect') {
-          // the disconnection was initiated by the server, you need to reconnect manually
-          this.logger.warn('Socket disconnected by the server. Trying to reconnect...');
-          this.socket.connect();
-        } else {
-          this.logger.warn('Socket disconnected client side. Trying to reconnect...');
+  // returns the error to answer with, or null when the message can be handled
+  async checkOpenApiMessage(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { status: 400, error_code: 'INVALID_PAYLOAD' };
+    }
+
+    // the server tells which API key was used, see createApiKey
+    data.api_key_id = data.api_key_id || data.open_api_key_id || null;
+    if (this.openApiOptions.requireApiKey && !data.api_key_id) {
+      return { status: 401, error_code: 'API_KEY_REQUIRED' };
+    }
+
+    if (this.openApiRateLimiter) {
+      const { allowed, retryAfter } = this.openApiRateLimiter.consume(data.api_key_id || 'unknown');
+      if (!allowed) {
+        // in seconds, like the Retry-After HTTP header
+        return { status: 429, error_code: 'TOO_MANY_REQUESTS', retry_after: Math.ceil(retryAfter / 1000) };
+      }
+    }
+
+    if (
+      this.openApiOptions.maxPayloadSize &&
+      str2ab(JSON.stringify(data)).byteLength > this.openApiOptions.maxPayloadSize
+    ) {
+      return { status: 413, error_code: 'PAYLOAD_TOO_LARGE' };
+    }
+
+    if (this.openApiOptions.validate) {
+      try {
+        if ((await this.openApiOptions.validate(data)) === false) {
+          return { status: 400, error_code: 'INVALID_PAYLOAD' };
         }
-      });
-    });
+      } catch (e) {
+        return { status: e.status || 400, error_code: e.error_code || e.code || 'INVALID_PAYLOAD' };
+      }
+    }
+
+    return null;
+  }
+
+  rememberPeerCapabilities(peerId, envelope) {
+    if (isBinaryEnvelope(envelope)) {
+      const { acceptCompression, acceptMultiRecipient, acceptFragments } = decodeEnvelope(envelope);
+      this.peersCapabilities[peerId] = {
+        acceptCompression,
+        acceptFormats: SUPPORTED_FORMATS,
+        acceptMultiRecipient,
+        acceptFragments,
+      };
+    } else if (envelope) {
+      this.peersCapabilities[peerId] = {
+        acceptCompression: envelope.acceptCompression || [],
+        acceptFormats: envelope.acceptFormats || [JSON_FORMAT],
+        acceptMultiRecipient: envelope.acceptMultiRecipient === true,
+        acceptFragments: envelope.acceptFragments === true,
+      };
+    }
+  }
+
+  // peers which didn't tell us they can reassemble fragments get messages in one piece
+  acceptsFragments(peerId) {
+    const capabilities = this.peersCapabilities[peerId];
+    return Boolean(capabilities && capabilities.acceptFragments);
+  }
+
+  getEncryptOptions(peerId) {
+    const { acceptCompression = [], acceptFormats = [JSON_FORMAT] } = this.peersCapabilities[peerId] || {};
+    const binary = acceptFormats.includes(BINARY_FORMAT) && this.serverEnvelopeFormats.includes(BINARY_FORMAT);
+    return {
+      compression: this.compression
+        ? getSupportedCompressions().find((algorithm) => acceptCompression.includes(algorithm))
+        : undefined,
+      format: binary ? BINARY_FORMAT : JSON_FORMAT,
+    };
+  }
+
+  getPreviousInstanceKeys() {
+    if (this.previousInstanceKeys && this.previousInstanceKeys.expiresAt <= Date.now()) {
+      this.logger.debug('gladys-gateway-js: Grace period is over, forgetting previous instance keys');
+      this.previousInstanceKeys = null;
+    }
+    return this.previousInstanceKeys;
+  }
+
+  async decryptMessageInstance(ecdsaPublicKey, encryptedMessage) {
+    try {
+      const decryptedMessage = await this.crypto.decryptMessage(
+        this.rsaKeys.private_key,
+        ecdsaPublicKey,
+        encryptedMessage,
+        this.messageOptions,
+      );
+      return { decryptedMessage, ecdsaPrivateKey: this.ecdsaKeys.private_key };
+    } catch (e) {
+      const previousInstanceKeys = this.getPreviousInstanceKeys();
+      // the message was maybe encrypted with the keys we had before the rotation
+      if (!previousInstanceKeys || e.code !== 'DECRYPTION_FAILED') {
+        throw e;
+      }
+      const decryptedMessage = await this.crypto.decryptMessage(
+        previousInstanceKeys.rsaKeys.private_key,
+        ecdsaPublicKey,
+        encryptedMessage,
+        this.messageOptions,
+      );
+      // the sender still has the old keys, so we sign the response with the old key as well
+      return { decryptedMessage, ecdsaPrivateKey: previousInstanceKeys.ecdsaKeys.private_key };
+    }
+  }
+
+  // The gateway has to store the new public keys with the rotation proof, and return the proof as
+  // key_rotation with the instance, so users check it even when they were offline during the rotation:
+  //   PATCH /instances/keys { rsa_public_key, ecdsa_public_key, key_rotation } with the instance token
+  //   GET /instances returns key_rotation with each instance
+  //   clear-key-cache emitted by the instance is relayed to its users
+  // This is not part of the released gateway API yet, lib/mock-server.js implements it
+  async rotateInstanceKeys({ gracePeriod = this.keyRotationGracePeriod } = {}) {
+    if (!this.rsaKeys || !this.ecdsaKeys) {
+      throw new GatewayError('NO_INSTANCE_KEYS', { code: 'NO_INSTANCE_KEYS' });
+    }
+
+    const { rsaKeys, ecdsaKeys, rsaPublicKeyJwk, ecdsaPublicKeyJwk, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk } =
+      await this.crypto.generateKeyPair();
+
+    const rsaPublicKey = JSON.stringify(rsaPublicKeyJwk);
+    const ecdsaPublicKey = JSON.stringify(ecdsaPublicKeyJwk);
+
+    // users who pinned the old keys can trust the new ones when the old key signed them
+    const signedData = [
+      await this.crypto.generateFingerprint(rsaPublicKey),
+      await this.crypto.generateFingerprint(ecdsaPublicKey),
+    ];
+    const keyRotation = {
+      rsa_public_key_fingerprint: signedData[0],
+      ecdsa_public_key_fingerprint: signedData[1],
+      signature: await this.crypto.signData(this.ecdsaKeys.private_key, signedData),
+    };
+
+    // publish the new public keys
+    await requestApi.patch(
+      `${this.serverUrl}/instances/keys`,
+      {
+        rsa_public_key: rsaPublicKey,
+        ecdsa_public_key: ecdsaPublicKey,
+        key_rotation: keyRotation,
+      },
+      this,
+    );
+
+    // we keep the old keys for in-flight messages
+    this.previousInstanceKeys = {
+      rsaKeys: this.rsaKeys,
+      ecdsaKeys: this.ecdsaKeys,
+      expiresAt: Date.now() + gracePeriod,
+    };
+
+    this.rsaKeys = {
+      private_key: rsaKeys.privateKey,
+    };
+    this.ecdsaKeys = {
+      private_key: ecdsaKeys.privateKey,
+    };
+
+    // users need to fetch the new instance keys
+    if (this.socket) {
+      this.socket.emit('clear-key-cache');
+    }
+
+    return {
+      rsaPrivateKeyJwk,
+      ecdsaPrivateKeyJwk,
+      rsaPublicKeyJwk,
+      ecdsaPublicKeyJwk,
+    };
   }
 
   async getUserByGladys4Id(gladys4UserId) {
@@ -923,65 +1788,211 @@ class GladysGatewayJs {
 
   async sendMessageUser(gladys4UserId, data) {
     if (this.socket === null) {
-      throw new Error('Not connected to socket, cannot send message');
+      throw new NotConnectedError();
     }
 
     const user = await this.getUserByGladys4Id(gladys4UserId);
 
     // user not found
     if (!user) {
-      throw new Error('User not found');
+      throw new UserNotFoundError(gladys4UserId);
     }
 
-    if (!user.connected) {
-      // user is not connected, resolving
-      return null;
+    if (!user.connected || (this.outboundQueue && !this.isSocketAuthenticated())) {
+      // user is not connected, the message waits in the queue, or is dropped
+      if (this.outboundQueue) {
+        this.outboundQueue.enqueue(user.id, data);
+        return this.createDeliveryReport(user.id, 'queued');
+      }
+      return this.createDeliveryReport(user.id, 'skipped');
     }
 
-    // encrypt the message
-    const encryptedMessage = await this.crypto.encryptMessage(user.rsaPublicKey, this.ecdsaKeys.private_key, data);
-
-    // compose the payload
-    const payload = {
-      user_id: user.id,
-      encryptedMessage,
-    };
-
-    // send the message
-    this.socket.emit('message', payload);
-    return null;
+    return this.emitMessageUser(user.id, data);
   }
 
   async sendMessageAllUsers(data) {
     if (this.socket === null) {
-      throw new Error('Not connected to socket, cannot send message');
+      throw new NotConnectedError();
     }
 
     const allUsers = Object.keys(this.keysDictionnary);
 
-    const sendMessage = async (userId) => {
-      const encryptedMessage = await this.crypto.encryptMessage(
-        this.keysDictionnary[userId].rsaPublicKey,
+    // we send the message only if the user is connected
+    const connectedUsers = allUsers.filter(
+      (userId) => this.keysDictionnary[userId].connected && (!this.outboundQueue || this.isSocketAuthenticated()),
+    );
+    const deliveries = await this.emitMessageUsers(connectedUsers, data);
+
+    return allUsers.map((userId) => {
+      if (deliveries[userId]) {
+        return deliveries[userId];
+      }
+      if (this.outboundQueue) {
+        this.outboundQueue.enqueue(userId, data);
+        return this.createDeliveryReport(userId, 'queued');
+      }
+      return this.createDeliveryReport(userId, 'skipped');
+    });
+  }
+
+  // users who can read multi-recipient envelopes share the same encrypted message, the
+  // others get their own. Returns the delivery reports by user id.
+  async emitMessageUsers(userIds, data) {
+    const groups = new Map();
+    const singleRecipients = [];
+    userIds.forEach((userId) => {
+      const capabilities = this.peersCapabilities[userId];
+      if (capabilities && capabilities.acceptMultiRecipient) {
+        // the encrypted message is shared, so its compression too
+        const { compression } = this.getEncryptOptions(userId);
+        groups.set(compression, (groups.get(compression) || []).concat(userId));
+      } else {
+        singleRecipients.push(userId);
+      }
+    });
+
+    const reports = await Promise.all([
+      ...singleRecipients.map((userId) => this.emitMessageUser(userId, data)),
+      ...Array.from(groups.entries()).map(([compression, group]) =>
+        group.length === 1 ? this.emitMessageUser(group[0], data) : this.emitMessageGroup(group, data, compression),
+      ),
+    ]);
+
+    const deliveries = {};
+    [].concat(...reports).forEach((report) => {
+      deliveries[report.user_id] = report;
+    });
+    return deliveries;
+  }
+
+  async emitMessageGroup(userIds, data, compression) {
+    let envelopes;
+    try {
+      envelopes = await this.crypto.encryptMessageForRecipients(
+        userIds.map((userId) => ({
+          publicKey: this.keysDictionnary[userId].rsaPublicKey,
+          format: this.getEncryptOptions(userId).format,
+        })),
         this.ecdsaKeys.private_key,
         data,
+        { compression },
       );
-      const payload = {
-        user_id: userId,
-        encryptedMessage,
-        sent_at: new Date().getTime(),
-      };
+    } catch (e) {
+      this.logger.warn('Gladys Gateway: Unable to encrypt multi-recipient message.');
+      this.logger.warn(e);
+      return userIds.map((userId) => this.createDeliveryReport(userId, 'failed', e));
+    }
 
-      this.socket.emit('message', payload);
+    const sentAt = new Date().getTime();
+    return Promise.all(
+      userIds.map((userId, i) =>
+        this.emitEncryptedMessageUser({
+          user_id: userId,
+          encryptedMessage: envelopes[i],
+          sent_at: sentAt,
+        }),
+      ),
+    );
+  }
+
+  isSocketAuthenticated() {
+    return this.connectionState === 'authenticated';
+  }
+
+  // status is how far the message went: failed, skipped, queued, encrypted, emitted or acknowledged
+  createDeliveryReport(userId, status, error = null) {
+    return {
+      user_id: userId,
+      gladys_4_user_id: this.keysDictionnary[userId] ? this.keysDictionnary[userId].gladys_4_user_id : null,
+      status,
+      error,
+    };
+  }
+
+  async encryptMessageUser(userId, data) {
+    const encryptedMessage = await this.crypto.encryptMessage(
+      this.keysDictionnary[userId].rsaPublicKey,
+      this.ecdsaKeys.private_key,
+      data,
+      true,
+      this.getEncryptOptions(userId),
+    );
+    return {
+      user_id: userId,
+      encryptedMessage,
+      sent_at: new Date().getTime(),
     };
+  }
 
-    allUsers.forEach((userId) => {
-      // we send the message only if the user is connected
-      if (this.keysDictionnary[userId].connected) {
-        sendMessage(userId);
+  async emitMessageUser(userId, data) {
+    let payload;
+    try {
+      payload = await this.encryptMessageUser(userId, data);
+    } catch (e) {
+      this.logger.warn(`Gladys Gateway: Unable to encrypt message for user ${userId}.`);
+      this.logger.warn(e);
+      return this.createDeliveryReport(userId, 'failed', e);
+    }
+    return this.emitEncryptedMessageUser(payload);
+  }
+
+  // resolves with the delivery report once the server has acknowledged the message, it never rejects
+  emitEncryptedMessageUser(payload) {
+    const userId = payload.user_id;
+    return new Promise((resolve) => {
+      try {
+        this.emitWithAck('message', payload, DELIVERY_ACK_TIMEOUT, (err, response) => {
+          if (err) {
+            // the message left, but we don't know if it has been delivered
+            resolve(this.createDeliveryReport(userId, 'emitted', err));
+          } else if (response && response.status >= 400) {
+            resolve(this.createDeliveryReport(userId, 'failed', response));
+          } else {
+            resolve(this.createDeliveryReport(userId, 'acknowledged'));
+          }
+        });
+      } catch (e) {
+        resolve(this.createDeliveryReport(userId, 'encrypted', e));
       }
     });
   }
 
+  // sends the queued messages of users who are now connected
+  async flushOutboundQueue() {
+    if (!this.outboundQueue || !this.isSocketAuthenticated()) {
+      return;
+    }
+    const connectedUsers = this.outboundQueue
+      .userIds()
+      .filter((userId) => this.keysDictionnary[userId] && this.keysDictionnary[userId].connected);
+
+    const reports = await Promise.all(
+      connectedUsers.map(async (userId) => {
+        const messages = this.outboundQueue.take(userId);
+        this.logger.debug(`gladys-gateway-js: Sending ${messages.length} queued messages to user ${userId}`);
+        const encrypted = await Promise.all(
+          messages.map((message) =>
+            this.encryptMessageUser(userId, message).then(
+              (payload) => ({ payload }),
+              (error) => ({ error }),
+            ),
+          ),
+        );
+        // messages are emitted in order, without waiting for the previous one to be acknowledged
+        return Promise.all(
+          encrypted.map(({ payload, error }) =>
+            error ? this.createDeliveryReport(userId, 'failed', error) : this.emitEncryptedMessageUser(payload),
+          ),
+        );
+      }),
+    );
+
+    const failed = [].concat(...reports).filter((report) => report.status === 'failed');
+    if (failed.length > 0) {
+      this.logger.warn(`Gladys Gateway: ${failed.length} queued messages could not be delivered.`);
+    }
+  }
+
   async newEventInstance(event, data) {
     return this.sendMessageAllUsers({
       version: '1.0',
@@ -1000,68 +2011,125 @@ class GladysGatewayJs {
     });
   }
 
-  async calculateLatency() {
+  async calculateLatency({ timeout = this.messageTimeout, signal } = {}) {
     if (this.socket === null) {
-      throw new Error('Not connected to socket, cannot send message');
+      throw new NotConnectedError();
     }
 
-    return new Promise((resolve, reject) => {
-      this.socket.emit('latency', Date.now(), (startTime) => {
-        const latency = Date.now() - startTime;
-        resolve(latency);
+    const latency = new Promise((resolve, reject) => {
+      this.emitWithAck('latency', Date.now(), timeout, (err, startTime) => {
+        if (err) {
+          return reject(err);
+        }
+        return resolve(Date.now() - startTime);
       });
     });
+
+    return withTimeout(latency, { signal });
+  }
+
+  // with a timeout, socket.io forgets the ack callback when the timeout elapses
+  emitWithAck(event, payload, timeout, callback) {
+    if (timeout) {
+      this.socket
+        .timeout(timeout)
+        .emit(event, payload, (err, response) =>
+          callback(err ? new GatewayTimeoutError(timeout, undefined, { cause: err }) : null, response),
+        );
+    } else {
+      this.socket.emit(event, payload, (response) => callback(null, response));
+    }
   }
 
-  async sendMessageGladys(data) {
+  // the message goes to the primary instance, unless instanceId is given
+  async sendMessageGladys(data, { timeout = this.messageTimeout, signal, instanceId = null } = {}) {
     if (this.socket === null) {
-      throw new Error('Not connected to socket, cannot send message');
+      throw new NotConnectedError();
     }
 
-    if (!this.gladysInstancePublicKey) {
-      throw new Error('NO_INSTANCE_DETECTED');
+    const instance = await this.getInstanceTarget(instanceId);
+
+    if (!this.ecdsaKeys) {
+      throw new AuthenticationError('NO_ECDSA_PRIVATE_KEY', { code: 'NOT_LOGGED_IN' });
     }
 
-    if (!this.gladysInstance || !this.gladysInstance.id) {
-      throw new Error('NO_INSTANCE_ID_DETECTED');
+    if (instance.keyChanged) {
+      throw new GatewayError('INSTANCE_KEY_CHANGED', { code: 'INSTANCE_KEY_CHANGED' });
     }
 
-    if (!this.ecdsaKeys) {
-      throw new Error('NO_ECDSA_PRIVATE_KEY');
+    // the timeout covers the whole exchange, fragments included
+    return withTimeout(this.sendMessageGladysFragments(data, timeout, instance), { timeout, signal });
+  }
+
+  async sendMessageGladysFragments(data, timeout, instance) {
+    const fragments = this.acceptsFragments(instance.id)
+      ? splitMessage(data, this.crypto.generateRandomId(), { fragmentSize: this.fragmentSize })
+      : null;
+
+    if (fragments === null) {
+      return this.emitMessageGladys(data, timeout, instance);
     }
 
+    // fragments are sent one after the other, the last one gets the response
+    await mapSeries(fragments.slice(0, -1), async (fragment) => {
+      const ack = await this.emitMessageGladys(fragment, timeout, instance);
+      if (!isFragmentAck(ack)) {
+        throw new GatewayError('INVALID_FRAGMENT_ACK', { code: 'INVALID_FRAGMENT_ACK' });
+      }
+    });
+    return this.emitMessageGladys(fragments[fragments.length - 1], timeout, instance);
+  }
+
+  async emitMessageGladys(data, timeout, instance) {
     const encryptedMessage = await this.crypto.encryptMessage(
-      this.gladysInstancePublicKey,
+      instance.rsaPublicKey,
       this.ecdsaKeys.private_key,
       data,
+      true,
+      this.getEncryptOptions(instance.id),
     );
 
     const payload = {
-      instance_id: this.gladysInstance.id,
+      instance_id: instance.id,
       encryptedMessage,
       sent_at: new Date().getTime(),
     };
 
     return new Promise((resolve, reject) => {
-      this.socket.emit('message', payload, async (response) => {
+      this.emitWithAck('message', payload, timeout, async (err, response) => {
+        if (err) {
+          return reject(err);
+        }
         if (response && response.status && response.error_code) {
-          return reject(response);
+          return reject(new RemoteInstanceError(response));
+        }
+        let decryptedMessage;
+        try {
+          decryptedMessage = await this.crypto.decryptMessage(
+            this.rsaKeys.private_key,
+            instance.ecdsaPublicKey,
+            response,
+            this.messageOptions,
+          );
+          this.rememberPeerCapabilities(instance.id, response);
+
+          // response was too big, it arrives in fragments
+          if (isFragmentedResponse(decryptedMessage)) {
+            decryptedMessage = await this.reassembler.receive(`instance:${instance.id}:${decryptedMessage.id}`);
+          }
+        } catch (e) {
+          return reject(e);
         }
-        const decryptedMessage = await this.crypto.decryptMessage(
-          this.rsaKeys.private_key,
-          this.gladysInstanceEcdsaPublicKey,
-          response,
-        );
 
         if (decryptedMessage && decryptedMessage.status && decryptedMessage.status >= 400) {
-          return reject(decryptedMessage);
+          return reject(new RemoteInstanceError(decryptedMessage));
         }
         return resolve(decryptedMessage);
       });
     });
   }
 
-  async sendRequest(method, path, body) {
+  async sendRequest(method, path, body, options) {
     const message = {
       version: '1.0',
       type: 'gladys-api-call',
@@ -1077,35 +2145,56 @@ class GladysGatewayJs {
       message.options.data = body;
     }
 
-    return this.sendMessageGladys(message);
+    return this.sendMessageGladys(message, options);
+  }
+
+  async sendRequestGet(path, query, options) {
+    return this.sendRequest('GET', path, query, options);
+  }
+
+  async sendRequestPost(path, query, options) {
+    return this.sendRequest('POST', path, query, options);
+  }
+
+  async sendRequestPatch(path, query, options) {
+    return this.sendRequest('PATCH', path, query, options);
   }
 
-  async sendRequestGet(path, query) {
-    return this.sendRequest('GET', path, query);
+  async sendRequestDelete(path, query, options) {
+    return this.sendRequest('DELETE', path, query, options);
   }
 
-  async sendRequestPost(path, query) {
-    return this.sendRequest('POST', path, query);
+  // same as sendRequest, to an instance which is not the primary one
+  async sendRequestToInstance(instanceId, method, path, body, options) {
+    return this.sendRequest(method, path, body, { ...options, instanceId });
   }
 
-  async sendRequestPatch(path, query) {
-    return this.sendRequest('PATCH', path, query);
+  async sendRequestGetToInstance(instanceId, path, query, options) {
+    return this.sendRequestToInstance(instanceId, 'GET', path, query, options);
   }
 
-  async sendRequestDelete(path, query) {
-    return this.sendRequest('DELETE', path, query);
+  async sendRequestPostToInstance(instanceId, path, query, options) {
+    return this.sendRequestToInstance(instanceId, 'POST', path, query, options);
   }
 
-  async initializeMultiPartBackup(data) {
-    return requestApi.post(`${this.serverUrl}/backups/multi_parts/initialize`, data, this);
+  async sendRequestPatchToInstance(instanceId, path, query, options) {
+    return this.sendRequestToInstance(instanceId, 'PATCH', path, query, options);
   }
 
-  async finalizeMultiPartBackup(data) {
-    return requestApi.post(`${this.serverUrl}/backups/multi_parts/finalize`, data, this);
+  async sendRequestDeleteToInstance(instanceId, path, query, options) {
+    return this.sendRequestToInstance(instanceId, 'DELETE', path, query, options);
   }
 
-  async abortMultiPartBackup(data) {
-    return requestApi.post(`${this.serverUrl}/backups/multi_parts/abort`, data, this);
+  async initializeMultiPartBackup(data, options) {
+    return requestApi.post(`${this.serverUrl}/backups/multi_parts/initialize`, data, this, options);
+  }
+
+  async finalizeMultiPartBackup(data, options) {
+    return requestApi.post(`${this.serverUrl}/backups/multi_parts/finalize`, data, this, options);
+  }
+
+  async abortMultiPartBackup(data, options) {
+    return requestApi.post(`${this.serverUrl}/backups/multi_parts/abort`, data, this, options);
   }
 
   async uploadOneBackupChunk(url, data, currentGladysVersion) {
@@ -1121,25 +2210,148 @@ class GladysGatewayJs {
     return axios.put(url, data, options);
   }
 
-  async getBackups() {
-    return requestApi.get(`${this.serverUrl}/backups`, this);
+  async uploadBackup(
+    readStream,
+    { size, concurrency = 2, retries = 3, onProgress, currentGladysVersion, backupKey } = {},
+  ) {
+    let stream = readStream;
+    let fileSize = size;
+
+    // backup is encrypted on the fly
+    if (backupKey) {
+      stream = this.encryptBackup(readStream, backupKey);
+      fileSize = this.backupCrypto.getEncryptedSize(size);
+    }
+
+    const {
+      backup_id: backupId,
+      file_id: fileId,
+      file_key: fileKey,
+      chunk_size: chunkSize,
+      parts,
+    } = await this.initializeMultiPartBackup({ file_size: fileSize });
+
+    let uploadedBytes = 0;
+
+    const uploadPart = (index, data) =>
+      retry(
+        async () => {
+          const { headers } = await this.uploadOneBackupChunk(parts[index].signed_url, data, currentGladysVersion);
+          return {
+            PartNumber: parts[index].part_number,
+            ETag: headers.etag.replace(/"/g, ''),
+          };
+        },
+        {
+          retries,
+          onRetry: (e, attempt, delay) => {
+            this.logger.warn(`Backup part ${parts[index].part_number} failed, retry ${attempt} in ${delay}ms`);
+            this.logger.warn(e);
+          },
+        },
+      );
+
+    const onPartUploaded = (index, length) => {
+      uploadedBytes += length;
+      if (onProgress) {
+        onProgress({
+          uploadedBytes,
+          totalBytes: fileSize,
+          partNumber: parts[index].part_number,
+          totalParts: parts.length,
+        });
+      }
+    };
+
+    try {
+      const uploadedParts = await uploadParts(stream, {
+        partSize: chunkSize,
+        partsCount: parts.length,
+        concurrency,
+        uploadPart,
+        onPartUploaded,
+      });
+
+      return await this.finalizeMultiPartBackup({
+        file_key: fileKey,
+        file_id: fileId,
+        parts: uploadedParts,
+        backup_id: backupId,
+      });
+    } catch (e) {
+      this.logger.warn('Backup upload failed, aborting it');
+      try {
+        await this.abortMultiPartBackup({ file_key: fileKey, file_id: fileId, backup_id: backupId });
+      } catch (abortError) {
+        this.logger.warn(abortError);
+      }
+      throw e;
+    }
+  }
+
+  async getBackups(options) {
+    return requestApi.get(`${this.serverUrl}/backups`, this, options);
+  }
+
+  encryptBackup(readStream, backupKey, options) {
+    const encryptStream = this.backupCrypto.createEncryptStream(backupKey, options);
+    readStream.on('error', (e) => encryptStream.destroy(e));
+    return readStream.pipe(encryptStream);
   }
 
-  async downloadBackup(backupUrl, writeStream, onDownloadProgress) {
+  async downloadBackup(
+    backupUrl,
+    writeStream,
+    onDownloadProgress,
+    { backupKey, size, checksum, retries = 5, idleTimeout } = {},
+  ) {
     this.logger.debug(`Downloading backup ${backupUrl}...`);
-    const response = await axios({
-      url: backupUrl,
-      method: 'GET',
-      responseType: 'stream',
-      onDownloadProgress,
-    });
 
-    response.data.pipe(writeStream);
+    let sink = writeStream;
 
-    return new Promise((resolve, reject) => {
+    // each chunk is authenticated before being written, and a truncated backup makes the download fail
+    if (backupKey) {
+      sink = this.backupCrypto.createDecryptStream(backupKey);
+      sink.pipe(writeStream);
+    }
+
+    const finished = new Promise((resolve, reject) => {
       writeStream.on('finish', resolve);
       writeStream.on('error', reject);
+      sink.on('error', reject);
     });
+    // errors are handled once the download is over
+    finished.catch(() => null);
+
+    let downloaded;
+    try {
+      downloaded = await downloadWithResume(backupUrl, sink, {
+        retries,
+        onProgress: onDownloadProgress,
+        logger: this.logger,
+        idleTimeout,
+      });
+    } catch (e) {
+      // the file descriptor is released, the partial file is left to the caller
+      sink.destroy();
+      writeStream.destroy();
+      throw e;
+    }
+
+    sink.end();
+    await finished;
+
+    // size and checksum come from the backup metadata (see getBackups)
+    if (size !== undefined && size !== null && downloaded.size !== Number(size)) {
+      throw new GatewayError(`BACKUP_SIZE_MISMATCH: expected ${size} bytes, got ${downloaded.size}`, {
+        code: 'BACKUP_SIZE_MISMATCH',
+      });
+    }
+    if (checksum && downloaded.checksum !== checksum.toLowerCase()) {
+      throw new GatewayError('BACKUP_CHECKSUM_MISMATCH', { code: 'BACKUP_CHECKSUM_MISMATCH' });
+    }
+
+    return downloaded;
   }
 
   async getLatestGladysVersion(currentGladysVersion, params) {
@@ -1151,7 +2363,7 @@ class GladysGatewayJs {
       headers: {
         'user-agent': `Gladys/${currentGladysVersion}`,
       },
-    });
+    }).catch(throwHttpError);
     return data;
   }
 
@@ -1159,22 +2371,35 @@ class GladysGatewayJs {
    * Enedis Instance API
    */
 
-  async enedisGetConsumptionLoadCurve(query) {
+  async enedisGetConsumptionLoadCurve(query, options) {
     const params = new URLSearchParams(query);
-    return requestApi.get(`${this.serverUrl}/enedis/metering_data/consumption_load_curve?${params.toString()}`, this);
+    return requestApi.get(
+      `${this.serverUrl}/enedis/metering_data/consumption_load_curve?${params.toString()}`,
+      this,
+      options,
+    );
   }
 
-  async enedisGetDailyConsumption(query) {
+  async enedisGetDailyConsumption(query, options) {
     const params = new URLSearchParams(query);
-    return requestApi.get(`${this.serverUrl}/enedis/metering_data/daily_consumption?${params.toString()}`, this);
+    return requestApi.get(
+      `${this.serverUrl}/enedis/metering_data/daily_consumption?${params.toString()}`,
+      this,
+      options,
+    );
   }
 
   /**
    * OpenAI Instance API
    */
-  async openAIAsk(body) {
-    return requestApi.post(`${this.serverUrl}/openai/ask`, body, this);
+  async openAIAsk(body, options) {
+    return requestApi.post(`${this.serverUrl}/openai/ask`, body, this, options);
   }
 }
 
+// error classes, so callers can use instanceof
+Object.assign(GladysGatewayJs, errors);
+// session storages, to give as the sessionStorage option
+Object.assign(GladysGatewayJs, sessionStorages);
+
 module.exports = GladysGatewayJs;
@@ -0,0 +1,247 @@
+/**
+ * Encrypted backup format.
+ *
+ * Header (37 bytes):
+ *
+ * offset  size  content
+ * 0       4     magic bytes "GGBK"
+ * 4       1     format version (1)
+ * 5       4     plaintext chunk size (uint32, big endian)
+ * 9       4     PBKDF2-SHA256 iterations used to derive the key from the backup key (uint32, big endian)
+ * 13      16    PBKDF2 salt
+ * 29      8     nonce prefix
+ *
+ * Then one or more chunks:
+ *
+ * offset  size  content
+ * 0       4     bit 31 = final chunk flag, bits 0-30 = ciphertext length (uint32, big endian)
+ * 4       ...   AES-256-GCM ciphertext, with its 16 bytes tag
+ *
+ * The iv of chunk n is the nonce prefix followed by n (uint32, big endian), and its additional
+ * data is the header followed by n (uint32, big endian) and the final flag (1 byte).
+ * Chunks can't be reordered, removed or mixed with another backup, and a backup without
+ * its final chunk is detected as truncated.
+ */
+const { Transform } = require('stream');
+const { str2abOldStyle, mapSeries } = require('./helpers');
+const { DecryptionError } = require('./errors');
+
+const MAGIC = [0x47, 0x47, 0x42, 0x4b]; // "GGBK"
+const VERSION = 1;
+const HEADER_LENGTH = 37;
+const CHUNK_HEADER_LENGTH = 4;
+const TAG_LENGTH = 16;
+const FINAL_FLAG = 0x80000000; // bit 31, ciphertext lengths are always below it
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_ITERATIONS = 100000;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const MAX_ITERATIONS = 10000000;
+
+module.exports = ({ cryptoLib }) => {
+  async function deriveBackupKey(backupKey, salt, iterations) {
+    const key = await cryptoLib.subtle.importKey('raw', str2abOldStyle(backupKey), { name: 'PBKDF2' }, false, [
+      'deriveKey',
+    ]);
+
+    return cryptoLib.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt,
+        iterations,
+        hash: { name: 'SHA-256' },
+      },
+      key,
+      {
+        name: 'AES-GCM',
+        length: 256,
+      },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+  }
+
+  function getChunkParams(header, noncePrefix, index, final) {
+    const iv = Buffer.alloc(12);
+    noncePrefix.copy(iv, 0);
+    iv.writeUInt32BE(index, 8);
+
+    const additionalData = Buffer.alloc(HEADER_LENGTH + 5);
+    header.copy(additionalData, 0);
+    additionalData.writeUInt32BE(index, HEADER_LENGTH);
+    additionalData.writeUInt8(final ? 1 : 0, HEADER_LENGTH + 4);
+
+    return {
+      name: 'AES-GCM',
+      iv,
+      additionalData,
+      tagLength: TAG_LENGTH * 8,
+    };
+  }
+
+  function createEncryptStream(backupKey, { chunkSize = DEFAULT_CHUNK_SIZE, iterations = DEFAULT_ITERATIONS } = {}) {
+    const salt = Buffer.from(cryptoLib.getRandomValues(new Uint8Array(16)));
+    const noncePrefix = Buffer.from(cryptoLib.getRandomValues(new Uint8Array(8)));
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.set(MAGIC, 0);
+    header.writeUInt8(VERSION, 4);
+    header.writeUInt32BE(chunkSize, 5);
+    header.writeUInt32BE(iterations, 9);
+    salt.copy(header, 13);
+    noncePrefix.copy(header, 29);
+
+    let key = null;
+    let index = 0;
+    let pending = Buffer.alloc(0);
+
+    async function init(stream) {
+      if (key === null) {
+        key = await deriveBackupKey(backupKey, salt, iterations);
+        stream.push(header);
+      }
+    }
+
+    async function encryptChunk(stream, plaintext, final) {
+      const ciphertext = Buffer.from(
+        await cryptoLib.subtle.encrypt(getChunkParams(header, noncePrefix, index, final), key, plaintext),
+      );
+      const chunkHeader = Buffer.alloc(CHUNK_HEADER_LENGTH);
+      chunkHeader.writeUInt32BE(ciphertext.length + (final ? FINAL_FLAG : 0), 0);
+      stream.push(Buffer.concat([chunkHeader, ciphertext]));
+      index += 1;
+    }
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        (async () => {
+          await init(this);
+          pending = Buffer.concat([pending, data]);
+          const plaintexts = [];
+          while (pending.length >= chunkSize) {
+            plaintexts.push(pending.subarray(0, chunkSize));
+            pending = pending.subarray(chunkSize);
+          }
+          await mapSeries(plaintexts, (plaintext) => encryptChunk(this, plaintext, false));
+        })().then(() => callback(), callback);
+      },
+      flush(callback) {
+        (async () => {
+          await init(this);
+          // the final chunk is always written, even empty, so truncation can be detected
+          await encryptChunk(this, pending, true);
+          pending = Buffer.alloc(0);
+        })().then(() => callback(), callback);
+      },
+    });
+  }
+
+  function createDecryptStream(backupKey) {
+    let header = null;
+    let noncePrefix = null;
+    let chunkSize = null;
+    let key = null;
+    let index = 0;
+    let finished = false;
+    let pending = Buffer.alloc(0);
+
+    async function readHeader() {
+      header = pending.subarray(0, HEADER_LENGTH);
+      pending = pending.subarray(HEADER_LENGTH);
+
+      if (!MAGIC.every((byte, i) => header[i] === byte)) {
+        throw new DecryptionError('INVALID_BACKUP_HEADER', { code: 'INVALID_BACKUP_HEADER' });
+      }
+      if (header.readUInt8(4) !== VERSION) {
+        throw new DecryptionError('UNSUPPORTED_BACKUP_VERSION', { code: 'UNSUPPORTED_BACKUP_VERSION' });
+      }
+      chunkSize = header.readUInt32BE(5);
+      if (chunkSize === 0 || chunkSize > MAX_CHUNK_SIZE) {
+        throw new DecryptionError('INVALID_BACKUP_HEADER', { code: 'INVALID_BACKUP_HEADER' });
+      }
+      const iterations = header.readUInt32BE(9);
+      if (iterations === 0 || iterations > MAX_ITERATIONS) {
+        throw new DecryptionError('INVALID_BACKUP_HEADER', { code: 'INVALID_BACKUP_HEADER' });
+      }
+      const salt = header.subarray(13, 29);
+      noncePrefix = header.subarray(29, 37);
+
+      key = await deriveBackupKey(backupKey, salt, iterations);
+    }
+
+    // removes the complete chunks from pending, they are decrypted afterwards
+    function takeChunks() {
+      const chunks = [];
+      let last = finished;
+      while (pending.length >= CHUNK_HEADER_LENGTH) {
+        if (last) {
+          throw new DecryptionError('INVALID_BACKUP_TRAILING_DATA', { code: 'INVALID_BACKUP_TRAILING_DATA' });
+        }
+        const lengthAndFlag = pending.readUInt32BE(0);
+        const final = lengthAndFlag >= FINAL_FLAG;
+        const length = final ? lengthAndFlag - FINAL_FLAG : lengthAndFlag;
+
+        if (length < TAG_LENGTH || length > chunkSize + TAG_LENGTH) {
+          throw new DecryptionError('INVALID_BACKUP_CHUNK', { code: 'INVALID_BACKUP_CHUNK' });
+        }
+        if (pending.length < CHUNK_HEADER_LENGTH + length) {
+          return chunks;
+        }
+
+        chunks.push({ ciphertext: pending.subarray(CHUNK_HEADER_LENGTH, CHUNK_HEADER_LENGTH + length), final });
+        pending = pending.subarray(CHUNK_HEADER_LENGTH + length);
+        last = final;
+      }
+      return chunks;
+    }
+
+    async function decryptChunk(stream, { ciphertext, final }) {
+      let plaintext;
+      try {
+        plaintext = await cryptoLib.subtle.decrypt(getChunkParams(header, noncePrefix, index, final), key, ciphertext);
+      } catch (e) {
+        throw new DecryptionError('INVALID_BACKUP_CHUNK', { code: 'INVALID_BACKUP_CHUNK', cause: e });
+      }
+      stream.push(Buffer.from(plaintext));
+      index += 1;
+      finished = final;
+    }
+
+    async function readChunks(stream) {
+      await mapSeries(takeChunks(), (chunk) => decryptChunk(stream, chunk));
+    }
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        (async () => {
+          pending = Buffer.concat([pending, data]);
+          if (header === null) {
+            if (pending.length < HEADER_LENGTH) {
+              return;
+            }
+            await readHeader();
+          }
+          await readChunks(this);
+        })().then(() => callback(), callback);
+      },
+      flush(callback) {
+        if (header === null || !finished || pending.length > 0) {
+          callback(new DecryptionError('BACKUP_TRUNCATED', { code: 'BACKUP_TRUNCATED' }));
+          return;
+        }
+        callback();
+      },
+    });
+  }
+
+  // size of the encrypted backup, needed before encrypting it to initialize the upload
+  function getEncryptedSize(size, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    const chunksCount = Math.floor(size / chunkSize) + 1;
+    return HEADER_LENGTH + chunksCount * (CHUNK_HEADER_LENGTH + TAG_LENGTH) + size;
+  }
+
+  return {
+    createEncryptStream,
+    createDecryptStream,
+    getEncryptedSize,
+  };
+};
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const nodeCrypto = require('crypto');
+const { retry } = require('./retry');
+const { GatewayError } = require('./errors');
+
+// a download receiving nothing for this long is dropped and resumed
+const DEFAULT_IDLE_TIMEOUT = 30 * 1000;
+
+// the server answered, but not with what we asked, there is no point retrying
+function fatalError(code) {
+  const error = new GatewayError(code, { code });
+  error.fatal = true;
+  return error;
+}
+
+function getTotalSize(response, offset) {
+  const contentRange = response.headers['content-range'];
+  if (contentRange && contentRange.includes('/')) {
+    const total = parseInt(contentRange.split('/')[1], 10);
+    if (!Number.isNaN(total)) {
+      return total;
+    }
+  }
+  const contentLength = parseInt(response.headers['content-length'], 10);
+  return Number.isNaN(contentLength) ? null : offset + contentLength;
+}
+
+// Downloads the file in the sink, without ending it. When the connection drops,
+// the download resumes from the last received byte with an HTTP Range request.
+async function downloadWithResume(
+  url,
+  sink,
+  { retries, onProgress, logger, headers = {}, idleTimeout = DEFAULT_IDLE_TIMEOUT },
+) {
+  const hash = nodeCrypto.createHash('sha256');
+  const startTime = Date.now();
+  let received = 0;
+  let total = null;
+
+  const progress = () => {
+    if (!onProgress) {
+      return;
+    }
+    const elapsedSeconds = (Date.now() - startTime) / 1000;
+    const rate = elapsedSeconds > 0 ? received / elapsedSeconds : 0;
+    onProgress({
+      loaded: received,
+      total,
+      rate,
+      eta: total !== null && rate > 0 ? (total - received) / rate : null,
+    });
+  };
+
+  const download = async () => {
+    const offset = received;
+    const response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'stream',
+      headers: offset > 0 ? { ...headers, Range: `bytes=${offset}-` } : headers,
+      timeout: idleTimeout,
+    });
+
+    if (offset > 0 && response.status !== 206) {
+      response.data.destroy();
+      throw fatalError('RANGE_NOT_SUPPORTED');
+    }
+
+    total = getTotalSize(response, offset);
+
+    let onSinkError = null;
+    try {
+      await new Promise((resolve, reject) => {
+        let idleTimer = null;
+        // a stalled connection doesn't always end, it is destroyed so the download is resumed
+        const resetIdleTimer = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(
+            () => response.data.destroy(new GatewayError('DOWNLOAD_STALLED', { code: 'DOWNLOAD_STALLED' })),
+            idleTimeout,
+          );
+        };
+        const onData = (chunk) => {
+          resetIdleTimer();
+          received += chunk.length;
+          hash.update(chunk);
+          progress();
+        };
+        // bytes still flowing after an error are not written to the sink, they must not be counted either
+        const onError = (e) => {
+          clearTimeout(idleTimer);
+          reject(e || new GatewayError('DOWNLOAD_ABORTED', { code: 'DOWNLOAD_ABORTED' }));
+          response.data.removeListener('data', onData);
+          response.data.unpipe(sink);
+          response.data.destroy();
+        };
+        resetIdleTimer();
+        response.data.on('data', onData);
+        // nothing to retry when the sink fails, for example when the backup can't be decrypted
+        onSinkError = (e) => {
+          e.fatal = true;
+          onError(e);
+        };
+        sink.once('error', onSinkError);
+        response.data.on('aborted', () => onError());
+        response.data.on('error', onError);
+        response.data.on('end', () => {
+          clearTimeout(idleTimer);
+          // the connection was closed before the end of the file
+          if (total !== null && received < total) {
+            onError(new GatewayError('INCOMPLETE_DOWNLOAD', { code: 'INCOMPLETE_DOWNLOAD' }));
+            return;
+          }
+          resolve();
+        });
+        response.data.pipe(sink, { end: false });
+      });
+    } finally {
+      // the next attempt adds its own listener
+      sink.removeListener('error', onSinkError);
+    }
+  };
+
+  await retry(download, {
+    retries,
+    shouldRetry: (e) => !e.fatal && !(e.response && e.response.status < 500 && e.response.status !== 429),
+    onRetry: (e, attempt, delay) => {
+      logger.warn(`Backup download interrupted at ${received} bytes, retry ${attempt} in ${delay}ms`);
+      logger.warn(e);
+    },
+  });
+
+  return {
+    size: received,
+    checksum: hash.digest('hex'),
+  };
+}
+
+module.exports = {
+  downloadWithResume,
+};
@@ -0,0 +1,71 @@
+const zlib = require('zlib');
+
+// a compressed message can't expand to more than that
+const MAX_DECOMPRESSED_SIZE = 64 * 1024 * 1024;
+
+// in browsers, zlib is replaced by an empty module (see "browser" in package.json)
+const hasZlib = Boolean(zlib && zlib.deflate);
+const hasCompressionStream = typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+function getSupportedCompressions() {
+  const supported = [];
+  if (hasZlib && zlib.brotliCompress) {
+    supported.push('brotli');
+  }
+  if (hasZlib || hasCompressionStream) {
+    supported.push('deflate');
+  }
+  return supported;
+}
+
+function zlibCall(method, data, options) {
+  return new Promise((resolve, reject) => {
+    zlib[method](data, options, (err, result) => {
+      if (err) {
+        return reject(err);
+      }
+      return resolve(new Uint8Array(result.buffer, result.byteOffset, result.byteLength));
+    });
+  });
+}
+
+async function streamCall(stream, data) {
+  const buffer = await new Response(new Blob([data]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+async function compress(algorithm, data) {
+  if (algorithm === 'brotli' && hasZlib && zlib.brotliCompress) {
+    return zlibCall('brotliCompress', data, {});
+  }
+  if (algorithm === 'deflate' && hasZlib) {
+    return zlibCall('deflate', data, {});
+  }
+  if (algorithm === 'deflate' && hasCompressionStream) {
+    return streamCall(new CompressionStream('deflate'), data);
+  }
+  throw new Error('UNSUPPORTED_COMPRESSION');
+}
+
+async function decompress(algorithm, data) {
+  let decompressed;
+  if (algorithm === 'brotli' && hasZlib && zlib.brotliDecompress) {
+    decompressed = await zlibCall('brotliDecompress', data, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+  } else if (algorithm === 'deflate' && hasZlib) {
+    decompressed = await zlibCall('inflate', data, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+  } else if (algorithm === 'deflate' && hasCompressionStream) {
+    decompressed = await streamCall(new DecompressionStream('deflate'), data);
+  } else {
+    throw new Error('UNSUPPORTED_COMPRESSION');
+  }
+  if (decompressed.byteLength > MAX_DECOMPRESSED_SIZE) {
+    throw new Error('DECOMPRESSED_MESSAGE_TOO_LARGE');
+  }
+  return decompressed;
+}
+
+module.exports = {
+  getSupportedCompressions,
+  compress,
+  decompress,
+};
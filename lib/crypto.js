@@ -1,11 +1,25 @@
 const arrayBufferToHex = require('array-buffer-to-hex');
 const hexToArrayBuffer = require('hex-to-array-buffer');
 const { str2ab, ab2str, appendBuffer, sanitizePassPhrase, ab2strOldStyle, str2abOldStyle } = require('./helpers');
-
-const PBKDF2_ITERATIONS = 100000;
+const { DecryptionError, SignatureError, ExpiredMessageError, ReplayedMessageError } = require('./errors');
+const { getSupportedCompressions, compress, decompress } = require('./compression');
+const { BINARY_FORMAT, SUPPORTED_FORMATS, isBinaryEnvelope, encodeEnvelope, decodeEnvelope } = require('./envelope');
+
+const LEGACY_PBKDF2_ITERATIONS = 100000;
+const PRIVATE_KEY_ENVELOPE_VERSION = 2;
+const PRIVATE_KEY_ENVELOPE_ITERATIONS = 600000;
+const SEALED_DATA_VERSION = 1;
 const MESSAGE_MAX_LIFETIME = 5 * 60 * 1000; // a message expire after 5 minutes
+const MESSAGE_CLOCK_SKEW = 2 * 60 * 1000; // tolerated clock difference between sender and receiver
+const MESSAGE_ID_LENGTH = 16;
+const COMPRESSION_MIN_SIZE = 1024; // smaller messages don't benefit from compression
+const MULTI_RECIPIENT_SIGNATURE_PREFIX = new TextEncoder().encode('gladys-multi-recipient-v1');
 
 module.exports = ({ cryptoLib }) => {
+  function generateRandomId() {
+    return arrayBufferToHex(cryptoLib.getRandomValues(new Uint8Array(MESSAGE_ID_LENGTH)));
+  }
+
   async function exportKey(key) {
     const keyJwj = await cryptoLib.subtle.exportKey('jwk', key);
     return keyJwj;
@@ -58,13 +72,7 @@ module.exports = ({ cryptoLib }) => {
     };
   }
 
-  async function encryptPrivateKey(passphraseP, privateKey) {
-    // sanitize passphrase
-    const passphrase = sanitizePassPhrase(passphraseP);
-
-    let salt = cryptoLib.getRandomValues(new Uint8Array(16));
-    let iv = cryptoLib.getRandomValues(new Uint8Array(12));
-
+  async function deriveWrappingKey(passphrase, salt, iterations, hash) {
     const key = await cryptoLib.subtle.importKey(
       'raw', // only 'raw' is allowed
       str2abOldStyle(passphrase), // your password
@@ -75,12 +83,12 @@ module.exports = ({ cryptoLib }) => {
       ['deriveKey', 'deriveBits'], // can be any combination of 'deriveKey' and 'deriveBits'
     );
 
-    const wrappingKey = await cryptoLib.subtle.deriveKey(
+    return cryptoLib.subtle.deriveKey(
       {
         name: 'PBKDF2',
         salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: { name: 'SHA-256' },
+        iterations,
+        hash: { name: hash },
       },
       key, // your key from generateKey or importKey
       {
@@ -88,260 +96,253 @@ module.exports = ({ cryptoLib }) => {
         length: 256, // can be  128, 192, or 256
       },
       false, // whether the derived key is extractable (i.e. can be used in exportKey)
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'], // limited to the options in that algorithm's importKey
-    );
-
-    const wrappedKey = await cryptoLib.subtle.wrapKey(
-      'jwk', // can be "jwk", "raw", "spki", or "pkcs8"
-      privateKey, // the key you want to wrap, must be able to export to above format
-      wrappingKey, // the AES-GCM key with "wrapKey" usage flag
-      {
-        name: 'AES-GCM',
-
-        // Don't re-use initialization vectors!
-        // Always generate a new iv every time your encrypt!
-        // Recommended to use 12 bytes length
-        iv,
-      },
+      ['encrypt', 'decrypt'],
     );
+  }
 
-    // transform iv and salt into exportable format for JSON.stringify
-    iv = Array.from(iv);
-    salt = Array.from(salt);
+  function getPrivateKeyImportParams(type) {
+    if (type === 'RSA-OAEP') {
+      return {
+        keyOptions: {
+          name: 'RSA-OAEP',
+          hash: { name: 'SHA-256' },
+        },
+        keyUsages: ['decrypt', 'unwrapKey'],
+      };
+    }
+    if (type === 'ECDSA') {
+      return {
+        keyOptions: {
+          name: 'ECDSA',
+          namedCurve: 'P-256',
+        },
+        keyUsages: ['sign'],
+      };
+    }
+    throw new Error('decryptPrivateKey: Unsupported type. Only: RSA-OAEP and ECDSA');
+  }
 
-    return {
-      wrappedKey: arrayBufferToHex(wrappedKey),
-      salt,
-      iv,
-    };
+  // all envelope parameters are authenticated with the encrypted key
+  function getPrivateKeyEnvelopeAdditionalData(envelope) {
+    const { version, kdf, hash, iterations, cipher, keyType } = envelope;
+    return str2ab(JSON.stringify([version, kdf, hash, iterations, cipher, keyType]));
   }
 
-  async function encryptPrivateKeyJwk(passphraseP, privateKeyJwk) {
+  async function encryptPrivateKey(passphraseP, privateKey, { iterations = PRIVATE_KEY_ENVELOPE_ITERATIONS } = {}) {
     // sanitize passphrase
     const passphrase = sanitizePassPhrase(passphraseP);
 
-    let salt = cryptoLib.getRandomValues(new Uint8Array(16));
-    let iv = cryptoLib.getRandomValues(new Uint8Array(12));
-    let stringPrivateKey = JSON.stringify(privateKeyJwk);
-    if (stringPrivateKey.length % 2 !== 0) {
-      stringPrivateKey += ' ';
-    }
-    const arrayBufferKey = hexToArrayBuffer(stringPrivateKey);
+    const salt = cryptoLib.getRandomValues(new Uint8Array(16));
+    const iv = cryptoLib.getRandomValues(new Uint8Array(12));
 
-    const key = await cryptoLib.subtle.importKey(
-      'raw', // only 'raw' is allowed
-      str2abOldStyle(passphrase), // your password
-      {
-        name: 'PBKDF2',
-      },
-      false, // whether the key is extractable (i.e. can be used in exportKey)
-      ['deriveKey', 'deriveBits'], // can be any combination of 'deriveKey' and 'deriveBits'
-    );
+    const envelope = {
+      version: PRIVATE_KEY_ENVELOPE_VERSION,
+      kdf: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations,
+      salt: arrayBufferToHex(salt),
+      cipher: 'AES-GCM',
+      iv: arrayBufferToHex(iv),
+      keyType: privateKey.algorithm.name,
+    };
 
-    const wrappingKey = await cryptoLib.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: { name: 'SHA-256' },
-      },
-      key, // your key from generateKey or importKey
-      {
-        name: 'AES-GCM', // can be any AES algorithm ('AES-CTR', 'AES-CBC', 'AES-CMAC', 'AES-GCM', 'AES-CFB', 'AES-KW', 'ECDH', 'DH', or 'HMAC')
-        length: 256, // can be  128, 192, or 256
-      },
-      false, // whether the derived key is extractable (i.e. can be used in exportKey)
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'], // limited to the options in that algorithm's importKey
-    );
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, envelope.iterations, envelope.hash);
+    const privateKeyJwk = await cryptoLib.subtle.exportKey('jwk', privateKey);
 
-    const wrappedKey = await cryptoLib.subtle.encrypt(
+    const ciphertext = await cryptoLib.subtle.encrypt(
       {
         name: 'AES-GCM',
         iv,
+        additionalData: getPrivateKeyEnvelopeAdditionalData(envelope),
         tagLength: 128,
       },
-      wrappingKey, // from generateKey or importKey above
-      arrayBufferKey, // ArrayBuffer of data you want to encrypt
+      wrappingKey,
+      str2ab(JSON.stringify(privateKeyJwk)),
     );
 
-    // transform iv and salt into exportable format for JSON.stringify
-    iv = Array.from(iv);
-    salt = Array.from(salt);
+    envelope.ciphertext = arrayBufferToHex(ciphertext);
 
-    return {
-      wrappedKey: arrayBufferToHex(wrappedKey),
-      salt,
-      iv,
-      isJwk: true,
-    };
+    return envelope;
   }
 
-  async function decryptPrivateKey(passphraseP, wrappedKey, type, saltP, ivP) {
-    const iv = Uint8Array.from(ivP);
-    const salt = Uint8Array.from(saltP);
+  // envelopes created before versioning: { wrappedKey, salt, iv, isJwk? }
+  // wrapping a key in 'jwk' with AES-GCM is the same as encrypting its JSON, so both shapes decrypt the same way
+  async function decryptLegacyPrivateKey(passphrase, envelope, type) {
+    const iv = Uint8Array.from(envelope.iv);
+    const salt = Uint8Array.from(envelope.salt);
+    const { keyOptions, keyUsages } = getPrivateKeyImportParams(type);
 
-    // sanitize passphrase
-    const passphrase = sanitizePassPhrase(passphraseP);
-
-    if (type !== 'RSA-OAEP' && type !== 'ECDSA') {
-      throw new Error('decryptPrivateKey: Unsupported type. Only: RSA-OAEP and ECDSA');
-    }
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, LEGACY_PBKDF2_ITERATIONS, 'SHA-256');
 
-    const key = await cryptoLib.subtle.importKey(
-      'raw', // only 'raw' is allowed
-      str2abOldStyle(passphrase), // your password
+    const decryptedData = await cryptoLib.subtle.decrypt(
       {
-        name: 'PBKDF2',
+        name: 'AES-GCM',
+        iv, // The initialization vector you used to encrypt
+        tagLength: 128, // The tagLength you used to encrypt (if any)
       },
-      false, // whether the key is extractable (i.e. can be used in exportKey)
-      ['deriveKey', 'deriveBits'], // can be any combination of 'deriveKey' and 'deriveBits'
+      wrappingKey, // from generateKey or importKey above
+      hexToArrayBuffer(envelope.wrappedKey),
     );
 
-    const wrappingKey = await cryptoLib.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: { name: 'SHA-256' },
-      },
-      key, // your key from generateKey or importKey
-      {
-        name: 'AES-GCM', // can be any AES algorithm ('AES-CTR', 'AES-CBC', 'AES-CMAC', 'AES-GCM', 'AES-CFB', 'AES-KW', 'ECDH', 'DH', or 'HMAC')
-        length: 256, // can be  128, 192, or 256
-      },
-      false, // whether the derived key is extractable (i.e. can be used in exportKey)
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'], // limited to the options in that algorithm's importKey
-    );
+    // we decrypt the data
+    const strData = String.fromCharCode.apply(null, new Uint8Array(decryptedData));
 
-    let resultingKeyOptions = null;
-    let keyUsage = null;
+    // then convert it to JS object
+    const privateKeyJwk = JSON.parse(strData);
 
-    if (type === 'RSA-OAEP') {
-      resultingKeyOptions = {
-        name: 'RSA-OAEP',
-        modulusLength: 2048,
-        publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
-        hash: {
-          name: 'SHA-256',
-        },
-      };
+    // import the JWK key
+    return cryptoLib.subtle.importKey('jwk', privateKeyJwk, keyOptions, true, keyUsages);
+  }
 
-      keyUsage = ['decrypt', 'unwrapKey'];
-    } else if (type === 'ECDSA') {
-      resultingKeyOptions = {
-        name: 'ECDSA',
-        namedCurve: 'P-256',
-      };
-      keyUsage = ['sign'];
+  async function decryptPrivateKey(passphraseP, envelope, type) {
+    // sanitize passphrase
+    const passphrase = sanitizePassPhrase(passphraseP);
+
+    if (!envelope.version) {
+      return decryptLegacyPrivateKey(passphrase, envelope, type);
     }
 
-    const decrypted = await cryptoLib.subtle.unwrapKey(
-      'jwk',
-      hexToArrayBuffer(wrappedKey),
-      wrappingKey,
+    if (
+      envelope.version !== PRIVATE_KEY_ENVELOPE_VERSION ||
+      envelope.kdf !== 'PBKDF2' ||
+      envelope.cipher !== 'AES-GCM'
+    ) {
+      throw new Error('decryptPrivateKey: Unsupported envelope');
+    }
+
+    if (envelope.keyType !== type) {
+      throw new Error(`decryptPrivateKey: Expected a ${type} key, got ${envelope.keyType}`);
+    }
+
+    const { keyOptions, keyUsages } = getPrivateKeyImportParams(envelope.keyType);
+
+    const wrappingKey = await deriveWrappingKey(
+      passphrase,
+      new Uint8Array(hexToArrayBuffer(envelope.salt)),
+      envelope.iterations,
+      envelope.hash,
+    );
+
+    const decryptedData = await cryptoLib.subtle.decrypt(
       {
         name: 'AES-GCM',
-        iv,
+        iv: new Uint8Array(hexToArrayBuffer(envelope.iv)),
+        additionalData: getPrivateKeyEnvelopeAdditionalData(envelope),
+        tagLength: 128,
       },
-      resultingKeyOptions,
-      true,
-      keyUsage,
+      wrappingKey,
+      hexToArrayBuffer(envelope.ciphertext),
     );
 
-    return decrypted;
+    const privateKeyJwk = JSON.parse(ab2str(decryptedData));
+
+    return cryptoLib.subtle.importKey('jwk', privateKeyJwk, keyOptions, true, keyUsages);
   }
 
-  async function decryptPrivateKeyJwk(passphraseP, wrappedKey, type, saltP, ivP) {
-    const iv = Uint8Array.from(ivP);
-    const salt = Uint8Array.from(saltP);
+  // same envelope as private keys, for any string kept at rest (sessions...)
+  async function sealData(secretP, plainText, { iterations = PRIVATE_KEY_ENVELOPE_ITERATIONS } = {}) {
+    const secret = sanitizePassPhrase(secretP);
 
-    // sanitize passphrase
-    const passphrase = sanitizePassPhrase(passphraseP);
+    const salt = cryptoLib.getRandomValues(new Uint8Array(16));
+    const iv = cryptoLib.getRandomValues(new Uint8Array(12));
 
-    if (type !== 'RSA-OAEP' && type !== 'ECDSA') {
-      throw new Error('decryptPrivateKey: Unsupported type. Only: RSA-OAEP and ECDSA');
-    }
+    const envelope = {
+      version: SEALED_DATA_VERSION,
+      kdf: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations,
+      salt: arrayBufferToHex(salt),
+      cipher: 'AES-GCM',
+      iv: arrayBufferToHex(iv),
+      keyType: 'sealed-data',
+    };
 
-    const key = await cryptoLib.subtle.importKey(
-      'raw', // only 'raw' is allowed
-      str2abOldStyle(passphrase), // your password
-      {
-        name: 'PBKDF2',
-      },
-      false, // whether the key is extractable (i.e. can be used in exportKey)
-      ['deriveKey', 'deriveBits'], // can be any combination of 'deriveKey' and 'deriveBits'
-    );
+    const wrappingKey = await deriveWrappingKey(secret, salt, envelope.iterations, envelope.hash);
 
-    const wrappingKey = await cryptoLib.subtle.deriveKey(
+    const ciphertext = await cryptoLib.subtle.encrypt(
       {
-        name: 'PBKDF2',
-        salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: { name: 'SHA-256' },
-      },
-      key, // your key from generateKey or importKey
-      {
-        name: 'AES-GCM', // can be any AES algorithm ('AES-CTR', 'AES-CBC', 'AES-CMAC', 'AES-GCM', 'AES-CFB', 'AES-KW', 'ECDH', 'DH', or 'HMAC')
-        length: 256, // can be  128, 192, or 256
+        name: 'AES-GCM',
+        iv,
+        additionalData: getPrivateKeyEnvelopeAdditionalData(envelope),
+        tagLength: 128,
       },
-      false, // whether the derived key is extractable (i.e. can be used in exportKey)
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'], // limited to the options in that algorithm's importKey
+      wrappingKey,
+      str2ab(plainText),
     );
 
-    let resultingKeyOptions = null;
-    let keyUsage = null;
+    envelope.ciphertext = arrayBufferToHex(ciphertext);
 
-    if (type === 'RSA-OAEP') {
-      resultingKeyOptions = {
-        name: 'RSA-OAEP',
-        modulusLength: 2048,
-        publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
-        hash: {
-          name: 'SHA-256',
-        },
-      };
+    return envelope;
+  }
 
-      keyUsage = ['decrypt', 'unwrapKey'];
-    } else if (type === 'ECDSA') {
-      resultingKeyOptions = {
-        name: 'ECDSA',
-        namedCurve: 'P-256',
-      };
-      keyUsage = ['sign'];
+  async function unsealData(secretP, envelope) {
+    const secret = sanitizePassPhrase(secretP);
+
+    if (
+      !envelope ||
+      envelope.version !== SEALED_DATA_VERSION ||
+      envelope.kdf !== 'PBKDF2' ||
+      envelope.cipher !== 'AES-GCM' ||
+      envelope.keyType !== 'sealed-data'
+    ) {
+      throw new DecryptionError('unsealData: Unsupported envelope', { code: 'UNSUPPORTED_ENVELOPE' });
     }
 
-    const decryptedData = await cryptoLib.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv, // The initialization vector you used to encrypt
-        tagLength: 128, // The tagLength you used to encrypt (if any)
-      },
-      wrappingKey, // from generateKey or importKey above
-      hexToArrayBuffer(wrappedKey),
+    const wrappingKey = await deriveWrappingKey(
+      secret,
+      new Uint8Array(hexToArrayBuffer(envelope.salt)),
+      envelope.iterations,
+      envelope.hash,
     );
 
-    // we decrypt the data
-    const strData = String.fromCharCode.apply(null, new Uint8Array(decryptedData));
-
-    // then convert it to JS object
-    const privateKeyJwk = JSON.parse(strData);
-
-    // import the JWK key
-    const decryptedKey = await cryptoLib.subtle.importKey('jwk', privateKeyJwk, resultingKeyOptions, true, keyUsage);
+    // with AES-GCM, a wrong secret fails the authentication of the ciphertext
+    const decryptedData = await cryptoLib.subtle
+      .decrypt(
+        {
+          name: 'AES-GCM',
+          iv: new Uint8Array(hexToArrayBuffer(envelope.iv)),
+          additionalData: getPrivateKeyEnvelopeAdditionalData(envelope),
+          tagLength: 128,
+        },
+        wrappingKey,
+        hexToArrayBuffer(envelope.ciphertext),
+      )
+      .catch((cause) => {
+        throw new DecryptionError('unsealData: Invalid secret', { code: 'INVALID_SECRET', cause });
+      });
+
+    return ab2str(decryptedData);
+  }
 
-    return decryptedKey;
+  function isPrivateKeyEnvelopeOutdated(envelope) {
+    return (
+      envelope.version !== PRIVATE_KEY_ENVELOPE_VERSION || !(envelope.iterations >= PRIVATE_KEY_ENVELOPE_ITERATIONS)
+    );
   }
 
-  async function encryptMessage(publicKey, ecdsaPrivateKey, rawData, isNewEncoder = true) {
-    // add timestamp to message to avoid replay attack
+  async function encodePayload(rawData, isNewEncoder, compressionOption) {
+    // add timestamp and unique id to message to avoid replay attack
     const dataWithTimestamp = {
       data: rawData,
       timestamp: new Date().getTime(),
+      id: generateRandomId(),
     };
 
     // stringify data
     const data = JSON.stringify(dataWithTimestamp);
+    let plainData = isNewEncoder ? str2ab(data) : str2abOldStyle(data);
+
+    // compression is only used when the recipient told us it supports it
+    let compression = null;
+    if (compressionOption && isNewEncoder && plainData.byteLength >= COMPRESSION_MIN_SIZE) {
+      plainData = await compress(compressionOption, plainData);
+      compression = compressionOption;
+    }
 
+    return { plainData, compression };
+  }
+
+  async function encryptPayload(plainData) {
     // first, we generate a symetric key
     const symetricKey = await cryptoLib.subtle.generateKey(
       {
@@ -367,10 +368,14 @@ module.exports = ({ cryptoLib }) => {
         tagLength: 128, // can be 32, 64, 96, 104, 112, 120 or 128 (default)
       },
       symetricKey, // from generateKey or importKey above
-      isNewEncoder ? str2ab(data) : str2abOldStyle(data), // ArrayBuffer of data you want to encrypt
+      plainData, // ArrayBuffer of data you want to encrypt
     );
 
-    const wrappedSymetricKey = await cryptoLib.subtle.wrapKey(
+    return { symetricKey, iv, encryptedData };
+  }
+
+  function wrapSymetricKey(symetricKey, publicKey) {
+    return cryptoLib.subtle.wrapKey(
       'raw', // the export format, must be "raw" (only available sometimes)
       symetricKey, // the key you want to wrap, must be able to fit in RSA-OAEP padding
       publicKey, // the public key with "wrapKey" usage flag
@@ -380,44 +385,160 @@ module.exports = ({ cryptoLib }) => {
         hash: { name: 'SHA-256' },
       },
     );
+  }
+
+  // a single-recipient signature covers the encrypted data and the wrapped key, a multi-recipient
+  // one covers the iv and the encrypted data only, as the wrapped key is different for each recipient
+  function getSignedData({ iv, encryptedData, wrappedSymetricKey, multiRecipient }) {
+    const signedData = multiRecipient
+      ? appendBuffer(appendBuffer(MULTI_RECIPIENT_SIGNATURE_PREFIX, iv), encryptedData)
+      : appendBuffer(encryptedData, wrappedSymetricKey);
 
-    const hashOfData = await cryptoLib.subtle.digest(
+    return cryptoLib.subtle.digest(
       {
         name: 'SHA-256',
       },
-      appendBuffer(encryptedData, wrappedSymetricKey),
+      signedData,
     );
+  }
 
-    const signature = await cryptoLib.subtle.sign(
+  async function sign(ecdsaPrivateKey, envelope) {
+    return cryptoLib.subtle.sign(
       {
         name: 'ECDSA',
         hash: { name: 'SHA-256' }, // can be "SHA-1", "SHA-256", "SHA-384", or "SHA-512"
       },
       ecdsaPrivateKey, // from generateKey or importKey above
-      hashOfData, // ArrayBuffer of data you want to sign
+      await getSignedData(envelope), // ArrayBuffer of data you want to sign
     );
+  }
 
-    return {
+  function formatEnvelope(
+    { iv, wrappedSymetricKey, signature, encryptedData, isNewEncoder, compression, multiRecipient },
+    format,
+  ) {
+    if (format === BINARY_FORMAT) {
+      return encodeEnvelope({
+        iv,
+        wrappedSymetricKey,
+        signature,
+        encryptedData,
+        isNewEncoder,
+        multiRecipient,
+        compression,
+        acceptCompression: getSupportedCompressions(),
+      });
+    }
+
+    const envelope = {
       iv: Array.from(iv),
       wrappedSymetricKey: arrayBufferToHex(wrappedSymetricKey),
       encryptedData: arrayBufferToHex(encryptedData),
       signature: arrayBufferToHex(signature),
       isNewEncoder,
+      // tell the recipient what we can decompress and decode
+      acceptCompression: getSupportedCompressions(),
+      acceptFormats: SUPPORTED_FORMATS,
+      acceptMultiRecipient: true,
+      acceptFragments: true,
     };
+
+    if (multiRecipient) {
+      envelope.multiRecipient = true;
+    }
+
+    if (compression) {
+      envelope.compression = compression;
+    }
+
+    return envelope;
   }
 
-  async function decryptMessage(privateKey, ecdsaPublicKey, data, options) {
-    data.iv = Uint8Array.from(data.iv);
+  async function encryptMessage(publicKey, ecdsaPrivateKey, rawData, isNewEncoder = true, options = {}) {
+    const { plainData, compression } = await encodePayload(rawData, isNewEncoder, options.compression);
+    const { symetricKey, iv, encryptedData } = await encryptPayload(plainData);
+    const wrappedSymetricKey = await wrapSymetricKey(symetricKey, publicKey);
+    const signature = await sign(ecdsaPrivateKey, { iv, encryptedData, wrappedSymetricKey });
 
-    const encryptedDataArrayBuffer = hexToArrayBuffer(data.encryptedData);
-    const wrappedSymetricKeyArrayBuffer = hexToArrayBuffer(data.wrappedSymetricKey);
+    return formatEnvelope(
+      { iv, wrappedSymetricKey, signature, encryptedData, isNewEncoder, compression },
+      options.format,
+    );
+  }
 
-    const hashOfData = await cryptoLib.subtle.digest(
-      {
-        name: 'SHA-256',
-      },
-      appendBuffer(encryptedDataArrayBuffer, wrappedSymetricKeyArrayBuffer),
+  // Encrypts and signs the message once for several recipients, only the symetric key is wrapped
+  // for each of them. Recipients are { publicKey, format }, one envelope is returned for each.
+  async function encryptMessageForRecipients(recipients, ecdsaPrivateKey, rawData, options = {}) {
+    const { plainData, compression } = await encodePayload(rawData, true, options.compression);
+    const { symetricKey, iv, encryptedData } = await encryptPayload(plainData);
+    const signature = await sign(ecdsaPrivateKey, { iv, encryptedData, multiRecipient: true });
+
+    return Promise.all(
+      recipients.map(async ({ publicKey, format }) =>
+        formatEnvelope(
+          {
+            iv,
+            wrappedSymetricKey: await wrapSymetricKey(symetricKey, publicKey),
+            signature,
+            encryptedData,
+            isNewEncoder: true,
+            compression,
+            multiRecipient: true,
+          },
+          format,
+        ),
+      ),
     );
+  }
+
+  async function checkReplay(jsonData, options) {
+    const { maxLifetime = MESSAGE_MAX_LIFETIME, clockSkew = MESSAGE_CLOCK_SKEW, replayStore = null } = options;
+    const now = new Date().getTime();
+
+    if (typeof jsonData.timestamp !== 'number') {
+      throw new ExpiredMessageError();
+    }
+
+    // message is too old, or comes from too far in the future
+    if (jsonData.timestamp + maxLifetime + clockSkew < now || jsonData.timestamp - clockSkew > now) {
+      throw new ExpiredMessageError();
+    }
+
+    // messages from old peers don't have an id, only the timestamp can be checked
+    if (replayStore && jsonData.id) {
+      if (await replayStore.has(jsonData.id)) {
+        throw new ReplayedMessageError();
+      }
+      // no need to remember the id once the timestamp check rejects the message
+      await replayStore.add(jsonData.id, jsonData.timestamp + maxLifetime + clockSkew);
+    }
+  }
+
+  function throwDecryptionError(cause) {
+    throw new DecryptionError('decryptMessage: Unable to decrypt', { cause });
+  }
+
+  async function decryptMessage(privateKey, ecdsaPublicKey, envelope, options = {}) {
+    const data = isBinaryEnvelope(envelope) ? decodeEnvelope(envelope) : envelope;
+    // binary envelopes already contain bytes, JSON ones contain hex strings
+    const toArrayBuffer = (value) => (typeof value === 'string' ? hexToArrayBuffer(value) : value);
+
+    data.iv = Uint8Array.from(data.iv);
+
+    const encryptedDataArrayBuffer = toArrayBuffer(data.encryptedData);
+    const wrappedSymetricKeyArrayBuffer = toArrayBuffer(data.wrappedSymetricKey);
+
+    // the iv is part of the signed data of multi-recipient envelopes, it has to be the one we use
+    if (data.multiRecipient && data.iv.byteLength !== 12) {
+      throw new DecryptionError('decryptMessage: Invalid iv', { code: 'INVALID_IV' });
+    }
+
+    const hashOfData = await getSignedData({
+      iv: data.iv,
+      encryptedData: encryptedDataArrayBuffer,
+      wrappedSymetricKey: wrappedSymetricKeyArrayBuffer,
+      multiRecipient: data.multiRecipient === true,
+    });
 
     const isSignatureValid = await cryptoLib.subtle.verify(
       {
@@ -425,15 +546,16 @@ module.exports = ({ cryptoLib }) => {
         hash: { name: 'SHA-256' }, // can be "SHA-1", "SHA-256", "SHA-384", or "SHA-512"
       },
       ecdsaPublicKey, // from generateKey or importKey above
-      hexToArrayBuffer(data.signature), // ArrayBuffer of the signature
+      toArrayBuffer(data.signature), // ArrayBuffer of the signature
       hashOfData, // ArrayBuffer of the data
     );
 
     if (isSignatureValid === false) {
-      throw new Error('decryptMessage: Invalid signature');
+      throw new SignatureError('decryptMessage: Invalid signature');
     }
 
-    const decryptedSymetricKey = await cryptoLib.subtle.unwrapKey(
+    // WebCrypto errors don't say much, they are kept as the cause of a DecryptionError
+    const unwrapping = cryptoLib.subtle.unwrapKey(
       'raw', // the import format, must be "raw" (only available sometimes)
       wrappedSymetricKeyArrayBuffer, // the key you want to unwrap
       privateKey, // the private key with "unwrapKey" usage flag
@@ -452,8 +574,9 @@ module.exports = ({ cryptoLib }) => {
       false, // whether the key is extractable (i.e. can be used in exportKey)
       ['encrypt', 'decrypt'], // the usages you want the unwrapped key to have
     );
+    const decryptedSymetricKey = await unwrapping.catch(throwDecryptionError);
 
-    const decryptedData = await cryptoLib.subtle.decrypt(
+    const decrypting = cryptoLib.subtle.decrypt(
       {
         name: 'AES-GCM',
         iv: data.iv, // The initialization vector you used to encrypt
@@ -462,6 +585,11 @@ module.exports = ({ cryptoLib }) => {
       decryptedSymetricKey, // from generateKey or importKey above
       encryptedDataArrayBuffer, // ArrayBuffer of the data
     );
+    let decryptedData = await decrypting.catch(throwDecryptionError);
+
+    if (data.compression) {
+      decryptedData = await decompress(data.compression, new Uint8Array(decryptedData));
+    }
 
     // we decrypt the data
     let strData = data.isNewEncoder ? ab2str(decryptedData) : ab2strOldStyle(decryptedData);
@@ -470,15 +598,38 @@ module.exports = ({ cryptoLib }) => {
     // then convert it to JS object
     const jsonData = JSON.parse(strData);
 
-    const now = new Date().getTime();
-
-    if (jsonData.timestamp + MESSAGE_MAX_LIFETIME < now && options.disableTimestampCheck) {
-      throw new Error('EXPIRED_MESSAGE');
+    if (!options.disableTimestampCheck) {
+      await checkReplay(jsonData, options);
     }
 
     return jsonData.data;
   }
 
+  // signature of a JSON value, hex encoded
+  async function signData(ecdsaPrivateKey, data) {
+    const signature = await cryptoLib.subtle.sign(
+      {
+        name: 'ECDSA',
+        hash: { name: 'SHA-256' },
+      },
+      ecdsaPrivateKey,
+      str2ab(JSON.stringify(data)),
+    );
+    return arrayBufferToHex(signature);
+  }
+
+  async function verifyData(ecdsaPublicKey, data, signature) {
+    return cryptoLib.subtle.verify(
+      {
+        name: 'ECDSA',
+        hash: { name: 'SHA-256' },
+      },
+      ecdsaPublicKey,
+      hexToArrayBuffer(signature),
+      str2ab(JSON.stringify(data)),
+    );
+  }
+
   async function importKey(jwkKey, type, isPublic) {
     let keyOptions = null;
     let usages = null;
@@ -536,12 +687,17 @@ module.exports = ({ cryptoLib }) => {
     generateKeyPair,
     encryptPrivateKey,
     decryptPrivateKey,
-    encryptPrivateKeyJwk,
-    decryptPrivateKeyJwk,
+    isPrivateKeyEnvelopeOutdated,
+    sealData,
+    unsealData,
     encryptMessage,
+    encryptMessageForRecipients,
     decryptMessage,
+    signData,
+    verifyData,
     importKey,
     exportKey,
     generateFingerprint,
+    generateRandomId,
   };
 };
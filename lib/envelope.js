@@ -0,0 +1,163 @@
+/**
+ * Binary wire format of an encrypted message, sent as a socket.io binary attachment.
+ *
+ * offset  size  content
+ * 0       2     magic bytes "GG" (0x47 0x47)
+ * 2       1     format version (1)
+ * 3       1     flags: bit 0 = isNewEncoder, bit 1 = multi-recipient envelope,
+ *                     bit 2 = the sender can decrypt multi-recipient envelopes,
+ *                     bit 3 = the sender can reassemble fragmented messages
+ * 4       1     compression of the encrypted data: 0 = none, 1 = deflate, 2 = brotli
+ * 5       1     compressions the sender can decompress: bit 0 = deflate, bit 1 = brotli
+ * 6       1     iv length
+ * 7       2     wrapped symetric key length (uint16, big endian)
+ * 9       2     signature length (uint16, big endian)
+ * 11      4     encrypted data length (uint32, big endian)
+ * 15      ...   iv, wrapped symetric key, signature and encrypted data, in that order
+ */
+
+const BINARY_FORMAT = 'binary-v1';
+const JSON_FORMAT = 'json-hex';
+const SUPPORTED_FORMATS = [BINARY_FORMAT, JSON_FORMAT];
+
+const MAGIC = [0x47, 0x47];
+const VERSION = 1;
+const HEADER_LENGTH = 15;
+
+const FLAG_NEW_ENCODER = 0x01;
+const FLAG_MULTI_RECIPIENT = 0x02;
+const FLAG_ACCEPT_MULTI_RECIPIENT = 0x04;
+const FLAG_ACCEPT_FRAGMENTS = 0x08;
+
+const COMPRESSION_CODES = {
+  deflate: 1,
+  brotli: 2,
+};
+
+// flags are distinct powers of two, adding them sets their bits
+function setFlags(flags) {
+  return Array.from(new Set(flags)).reduce((byte, flag) => byte + flag, 0);
+}
+
+function hasFlag(byte, flag) {
+  return Math.floor(byte / flag) % 2 === 1;
+}
+
+function isBinaryEnvelope(envelope) {
+  return envelope instanceof ArrayBuffer || ArrayBuffer.isView(envelope);
+}
+
+function toUint8Array(data) {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function encodeEnvelope({
+  iv,
+  wrappedSymetricKey,
+  signature,
+  encryptedData,
+  isNewEncoder,
+  multiRecipient,
+  compression,
+  acceptCompression,
+}) {
+  const parts = [iv, wrappedSymetricKey, signature, encryptedData].map(toUint8Array);
+  const [ivBytes, keyBytes, signatureBytes, dataBytes] = parts;
+
+  const bytes = new Uint8Array(HEADER_LENGTH + parts.reduce((total, part) => total + part.byteLength, 0));
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(MAGIC, 0);
+  view.setUint8(2, VERSION);
+  view.setUint8(
+    3,
+    setFlags(
+      [
+        isNewEncoder && FLAG_NEW_ENCODER,
+        multiRecipient && FLAG_MULTI_RECIPIENT,
+        FLAG_ACCEPT_MULTI_RECIPIENT,
+        FLAG_ACCEPT_FRAGMENTS,
+      ].filter(Boolean),
+    ),
+  );
+  view.setUint8(4, compression ? COMPRESSION_CODES[compression] : 0);
+  view.setUint8(
+    5,
+    setFlags((acceptCompression || []).map((algorithm) => COMPRESSION_CODES[algorithm]).filter(Boolean)),
+  );
+  view.setUint8(6, ivBytes.byteLength);
+  view.setUint16(7, keyBytes.byteLength);
+  view.setUint16(9, signatureBytes.byteLength);
+  view.setUint32(11, dataBytes.byteLength);
+
+  let offset = HEADER_LENGTH;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  });
+
+  return bytes;
+}
+
+function decodeEnvelope(envelope) {
+  const bytes = toUint8Array(envelope);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < HEADER_LENGTH || bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1]) {
+    throw new Error('INVALID_ENVELOPE');
+  }
+  if (view.getUint8(2) !== VERSION) {
+    throw new Error('UNSUPPORTED_ENVELOPE_VERSION');
+  }
+
+  const flags = view.getUint8(3);
+  const compressionCode = view.getUint8(4);
+  const acceptCompressionMask = view.getUint8(5);
+  const lengths = [view.getUint8(6), view.getUint16(7), view.getUint16(9), view.getUint32(11)];
+
+  if (HEADER_LENGTH + lengths.reduce((total, length) => total + length, 0) !== bytes.byteLength) {
+    throw new Error('INVALID_ENVELOPE');
+  }
+
+  let offset = HEADER_LENGTH;
+  const [iv, wrappedSymetricKey, signature, encryptedData] = lengths.map((length) => {
+    const part = bytes.subarray(offset, offset + length);
+    offset += length;
+    return part;
+  });
+
+  const compressions = Object.keys(COMPRESSION_CODES);
+  const decoded = {
+    iv,
+    wrappedSymetricKey,
+    signature,
+    encryptedData,
+    isNewEncoder: hasFlag(flags, FLAG_NEW_ENCODER),
+    multiRecipient: hasFlag(flags, FLAG_MULTI_RECIPIENT),
+    acceptMultiRecipient: hasFlag(flags, FLAG_ACCEPT_MULTI_RECIPIENT),
+    acceptFragments: hasFlag(flags, FLAG_ACCEPT_FRAGMENTS),
+    acceptCompression: compressions.filter((algorithm) => hasFlag(acceptCompressionMask, COMPRESSION_CODES[algorithm])),
+    acceptFormats: SUPPORTED_FORMATS,
+  };
+
+  if (compressionCode !== 0) {
+    decoded.compression = compressions.find((algorithm) => COMPRESSION_CODES[algorithm] === compressionCode);
+    if (!decoded.compression) {
+      throw new Error('UNSUPPORTED_COMPRESSION');
+    }
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  BINARY_FORMAT,
+  JSON_FORMAT,
+  SUPPORTED_FORMATS,
+  isBinaryEnvelope,
+  encodeEnvelope,
+  decodeEnvelope,
+};
@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class AbortError extends GatewayError {
+  constructor(message = 'ABORTED', { cause } = {}) {
+    super(message, { code: 'ABORTED', cause });
+    this.name = 'AbortError';
+  }
+}
+
+module.exports = AbortError;
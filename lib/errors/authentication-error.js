@@ -0,0 +1,14 @@
+const GatewayError = require('./gateway-error');
+
+class AuthenticationError extends GatewayError {
+  constructor(message = 'AUTHENTICATION_FAILED', { code = 'AUTHENTICATION_FAILED', cause } = {}) {
+    super(message, { code, cause });
+    this.name = 'AuthenticationError';
+    // same fields as an HttpError when the server refused the credentials
+    const response = cause && cause.response;
+    this.status = response ? response.status : null;
+    this.response = response;
+  }
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class DecryptionError extends GatewayError {
+  constructor(message = 'DECRYPTION_FAILED', { code = 'DECRYPTION_FAILED', cause } = {}) {
+    super(message, { code, cause });
+    this.name = 'DecryptionError';
+  }
+}
+
+module.exports = DecryptionError;
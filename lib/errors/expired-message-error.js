@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class ExpiredMessageError extends GatewayError {
+  constructor(message = 'EXPIRED_MESSAGE') {
+    super(message, { code: 'EXPIRED_MESSAGE' });
+    this.name = 'ExpiredMessageError';
+  }
+}
+
+module.exports = ExpiredMessageError;
@@ -0,0 +1,18 @@
+/**
+ * Base class of the errors thrown by the client.
+ *
+ * `code` is stable and can be used to handle the error, the message is kept as it
+ * was before the hierarchy existed. `cause` is the error which caused this one, if any.
+ */
+class GatewayError extends Error {
+  constructor(message, { code = 'GATEWAY_ERROR', cause } = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = code;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+module.exports = GatewayError;
@@ -0,0 +1,11 @@
+const GatewayError = require('./gateway-error');
+
+class GatewayTimeoutError extends GatewayError {
+  constructor(timeout, message = 'GATEWAY_TIMEOUT', { cause } = {}) {
+    super(message, { code: 'GATEWAY_TIMEOUT', cause });
+    this.name = 'GatewayTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+module.exports = GatewayTimeoutError;
@@ -0,0 +1,18 @@
+const GatewayError = require('./gateway-error');
+
+// wraps an axios error, response is kept so code written for axios errors still works
+class HttpError extends GatewayError {
+  constructor(cause) {
+    const { response } = cause;
+    const errorCode = response && response.data && response.data.error_code;
+    super(cause.message, {
+      code: errorCode || (response ? `HTTP_${response.status}` : 'NETWORK_ERROR'),
+      cause,
+    });
+    this.name = 'HttpError';
+    this.status = response ? response.status : null;
+    this.response = response;
+  }
+}
+
+module.exports = HttpError;
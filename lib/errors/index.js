@@ -0,0 +1,31 @@
+const GatewayError = require('./gateway-error');
+const AuthenticationError = require('./authentication-error');
+const TwoFactorRequiredError = require('./two-factor-required-error');
+const NotConnectedError = require('./not-connected-error');
+const InstanceNotFoundError = require('./instance-not-found-error');
+const UserNotFoundError = require('./user-not-found-error');
+const DecryptionError = require('./decryption-error');
+const SignatureError = require('./signature-error');
+const ExpiredMessageError = require('./expired-message-error');
+const ReplayedMessageError = require('./replayed-message-error');
+const RemoteInstanceError = require('./remote-instance-error');
+const HttpError = require('./http-error');
+const GatewayTimeoutError = require('./gateway-timeout-error');
+const AbortError = require('./abort-error');
+
+module.exports = {
+  GatewayError,
+  AuthenticationError,
+  TwoFactorRequiredError,
+  NotConnectedError,
+  InstanceNotFoundError,
+  UserNotFoundError,
+  DecryptionError,
+  SignatureError,
+  ExpiredMessageError,
+  ReplayedMessageError,
+  RemoteInstanceError,
+  HttpError,
+  GatewayTimeoutError,
+  AbortError,
+};
@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class InstanceNotFoundError extends GatewayError {
+  constructor(message = 'NO_INSTANCE_DETECTED') {
+    super(message, { code: 'INSTANCE_NOT_FOUND' });
+    this.name = 'InstanceNotFoundError';
+  }
+}
+
+module.exports = InstanceNotFoundError;
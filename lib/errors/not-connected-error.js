@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class NotConnectedError extends GatewayError {
+  constructor(message = 'Not connected to socket, cannot send message') {
+    super(message, { code: 'NOT_CONNECTED' });
+    this.name = 'NotConnectedError';
+  }
+}
+
+module.exports = NotConnectedError;
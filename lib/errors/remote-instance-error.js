@@ -0,0 +1,16 @@
+const GatewayError = require('./gateway-error');
+
+// the instance answered with an error, status and error_code are the ones it sent
+class RemoteInstanceError extends GatewayError {
+  constructor(response = {}) {
+    super(response.error_message || response.error_code || 'REMOTE_INSTANCE_ERROR', {
+      code: response.error_code || 'REMOTE_INSTANCE_ERROR',
+    });
+    this.name = 'RemoteInstanceError';
+    this.status = response.status;
+    this.error_code = response.error_code;
+    this.response = response;
+  }
+}
+
+module.exports = RemoteInstanceError;
@@ -0,0 +1,10 @@
+const GatewayError = require('./gateway-error');
+
+class ReplayedMessageError extends GatewayError {
+  constructor(message = 'REPLAYED_MESSAGE') {
+    super(message, { code: 'REPLAYED_MESSAGE' });
+    this.name = 'ReplayedMessageError';
+  }
+}
+
+module.exports = ReplayedMessageError;
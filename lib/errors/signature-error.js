@@ -0,0 +1,10 @@
+const DecryptionError = require('./decryption-error');
+
+class SignatureError extends DecryptionError {
+  constructor(message = 'INVALID_SIGNATURE') {
+    super(message, { code: 'INVALID_SIGNATURE' });
+    this.name = 'SignatureError';
+  }
+}
+
+module.exports = SignatureError;
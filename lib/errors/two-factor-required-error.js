@@ -0,0 +1,11 @@
+const AuthenticationError = require('./authentication-error');
+
+class TwoFactorRequiredError extends AuthenticationError {
+  constructor(message = 'TWO_FACTOR_REQUIRED', { cause, twoFactorToken } = {}) {
+    super(message, { code: 'TWO_FACTOR_REQUIRED', cause });
+    this.name = 'TwoFactorRequiredError';
+    this.twoFactorToken = twoFactorToken;
+  }
+}
+
+module.exports = TwoFactorRequiredError;
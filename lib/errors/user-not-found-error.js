@@ -0,0 +1,11 @@
+const GatewayError = require('./gateway-error');
+
+class UserNotFoundError extends GatewayError {
+  constructor(userId, message = 'User not found') {
+    super(message, { code: 'USER_NOT_FOUND' });
+    this.name = 'UserNotFoundError';
+    this.userId = userId;
+  }
+}
+
+module.exports = UserNotFoundError;
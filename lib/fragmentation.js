@@ -0,0 +1,229 @@
+const FRAGMENT_TYPE = 'gladys-fragment';
+const FRAGMENT_ACK_TYPE = 'gladys-fragment-ack';
+const FRAGMENTED_RESPONSE_TYPE = 'gladys-fragmented-response';
+
+const DEFAULT_FRAGMENT_SIZE = 256 * 1024;
+const DEFAULT_MAX_TOTAL_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_CONCURRENT = 20;
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+const utf8encoder = new TextEncoder();
+const utf8decoder = new TextDecoder();
+
+function isFragment(message) {
+  return Boolean(message && message.type === FRAGMENT_TYPE && message.fragment);
+}
+
+function isFragmentAck(message) {
+  return Boolean(message && message.type === FRAGMENT_ACK_TYPE);
+}
+
+function isFragmentedResponse(message) {
+  return Boolean(message && message.type === FRAGMENTED_RESPONSE_TYPE && message.id);
+}
+
+// bytes 0x80 to 0xbf continue a character started by a previous byte
+function isContinuationByte(byte) {
+  return byte >= 0x80 && byte < 0xc0;
+}
+
+// returns null when the message is small enough to be sent in one piece.
+// Sizes are in UTF-8 bytes, as the message is encoded before being encrypted
+function splitMessage(data, id, { fragmentSize = DEFAULT_FRAGMENT_SIZE, response = false } = {}) {
+  const serialized = JSON.stringify(data);
+  if (serialized === undefined) {
+    return null;
+  }
+  const bytes = utf8encoder.encode(serialized);
+  if (bytes.byteLength <= fragmentSize) {
+    return null;
+  }
+
+  // a character takes up to 4 bytes, a fragment has to hold at least one
+  const maxChunkSize = Math.max(fragmentSize, 4);
+  const chunks = [];
+  let start = 0;
+  while (start < bytes.byteLength) {
+    let end = Math.min(start + maxChunkSize, bytes.byteLength);
+    // don't cut a character in half
+    while (end < bytes.byteLength && isContinuationByte(bytes[end])) {
+      end -= 1;
+    }
+    chunks.push(utf8decoder.decode(bytes.subarray(start, end)));
+    start = end;
+  }
+
+  return chunks.map((chunk, index) => ({
+    version: '1.0',
+    type: FRAGMENT_TYPE,
+    fragment: {
+      id,
+      index,
+      count: chunks.length,
+      size: bytes.byteLength,
+      response,
+      chunk,
+    },
+  }));
+}
+
+function createFragmentAck(fragment) {
+  return {
+    version: '1.0',
+    type: FRAGMENT_ACK_TYPE,
+    id: fragment.id,
+    index: fragment.index,
+  };
+}
+
+function createFragmentedResponse(id) {
+  return {
+    version: '1.0',
+    type: FRAGMENTED_RESPONSE_TYPE,
+    id,
+  };
+}
+
+function startTimer(callback, timeout) {
+  const timer = setTimeout(callback, timeout);
+  // pending reassemblies should not keep the process alive
+  if (timer && timer.unref) {
+    timer.unref();
+  }
+  return timer;
+}
+
+function createReassembler({
+  maxTotalSize = DEFAULT_MAX_TOTAL_SIZE,
+  maxConcurrent = DEFAULT_MAX_CONCURRENT,
+  timeout = DEFAULT_TIMEOUT,
+} = {}) {
+  // messages being reassembled
+  const pending = new Map();
+  // reassembled responses, waiting for the request to claim them
+  const mailbox = new Map();
+
+  function drop(key) {
+    const entry = pending.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      pending.delete(key);
+    }
+  }
+
+  function push(key, fragment) {
+    const { index, count, size, chunk } = fragment;
+
+    if (
+      !Number.isInteger(count) ||
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= count ||
+      typeof chunk !== 'string'
+    ) {
+      drop(key);
+      throw new Error('INVALID_FRAGMENT');
+    }
+
+    if (!(size <= maxTotalSize)) {
+      drop(key);
+      throw new Error('PAYLOAD_TOO_LARGE');
+    }
+
+    let entry = pending.get(key);
+    if (!entry) {
+      if (pending.size >= maxConcurrent) {
+        throw new Error('TOO_MANY_FRAGMENTED_MESSAGES');
+      }
+      entry = {
+        chunks: new Array(count),
+        received: 0,
+        receivedSize: 0,
+        count,
+        size,
+        timer: startTimer(() => pending.delete(key), timeout),
+      };
+      pending.set(key, entry);
+    }
+
+    if (entry.count !== count || entry.size !== size) {
+      drop(key);
+      throw new Error('INVALID_FRAGMENT');
+    }
+
+    // a duplicated fragment is ignored
+    if (entry.chunks[index] !== undefined) {
+      return null;
+    }
+
+    entry.receivedSize += utf8encoder.encode(chunk).byteLength;
+    if (entry.receivedSize > entry.size) {
+      drop(key);
+      throw new Error('PAYLOAD_TOO_LARGE');
+    }
+
+    entry.chunks[index] = chunk;
+    entry.received += 1;
+
+    if (entry.received < entry.count) {
+      return null;
+    }
+
+    drop(key);
+    if (entry.receivedSize !== entry.size) {
+      throw new Error('INVALID_FRAGMENT');
+    }
+    const serialized = entry.chunks.join('');
+    return JSON.parse(serialized);
+  }
+
+  function deliver(key, data) {
+    const waiting = mailbox.get(key);
+    if (waiting && waiting.resolve) {
+      clearTimeout(waiting.timer);
+      mailbox.delete(key);
+      waiting.resolve(data);
+      return;
+    }
+    // the response arrived before the request started waiting for it
+    mailbox.set(key, {
+      data,
+      timer: startTimer(() => mailbox.delete(key), timeout),
+    });
+  }
+
+  function receive(key) {
+    const delivered = mailbox.get(key);
+    if (delivered && !delivered.resolve) {
+      clearTimeout(delivered.timer);
+      mailbox.delete(key);
+      return Promise.resolve(delivered.data);
+    }
+    return new Promise((resolve, reject) => {
+      mailbox.set(key, {
+        resolve,
+        timer: startTimer(() => {
+          mailbox.delete(key);
+          reject(new Error('FRAGMENTED_RESPONSE_TIMEOUT'));
+        }, timeout),
+      });
+    });
+  }
+
+  return {
+    push,
+    deliver,
+    receive,
+  };
+}
+
+module.exports = {
+  DEFAULT_FRAGMENT_SIZE,
+  isFragment,
+  isFragmentAck,
+  isFragmentedResponse,
+  splitMessage,
+  createFragmentAck,
+  createFragmentedResponse,
+  createReassembler,
+};
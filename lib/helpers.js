@@ -33,6 +33,35 @@ function sanitizePassPhrase(passphrase) {
   return passphrase.trim().normalize('NFKD');
 }
 
+// expiration date (in ms) of a JWT, or null when the token can't be decoded
+function getTokenExpiration(token) {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(typeof atob === 'function' ? atob(base64) : Buffer.from(base64, 'base64').toString());
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isWildcardPattern(pattern) {
+  return typeof pattern === 'string' && pattern.includes('*');
+}
+
+// * matches any sequence of characters, everything else is matched literally
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// calls fn on each item, one after the other, and resolves with the results in order
+function mapSeries(items, fn) {
+  return items.reduce(
+    (previous, item, index) => previous.then(async (results) => results.concat([await fn(item, index)])),
+    Promise.resolve([]),
+  );
+}
+
 module.exports = {
   ab2str,
   ab2strOldStyle,
@@ -40,4 +69,8 @@ module.exports = {
   str2abOldStyle,
   appendBuffer,
   sanitizePassPhrase,
+  getTokenExpiration,
+  isWildcardPattern,
+  wildcardToRegExp,
+  mapSeries,
 };
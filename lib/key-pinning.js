@@ -0,0 +1,39 @@
+/**
+ * In-memory store of pinned instance keys.
+ *
+ * A store only needs to implement `get(instanceId)` and `set(instanceId, pin)`, both can
+ * return a promise. A pin holds the fingerprints of both instance keys, and the ECDSA
+ * public key itself. Apps should provide a persistent store, otherwise keys are only
+ * pinned until the page/process is reloaded.
+ *
+ * When an instance rotates its keys, it signs the new fingerprints with its old key,
+ * and the pin is replaced without asking the user (see isSignedKeyRotation).
+ */
+function createMemoryKeyPinStore() {
+  const pins = new Map();
+
+  function get(instanceId) {
+    return pins.get(instanceId) || null;
+  }
+
+  function set(instanceId, fingerprints) {
+    pins.set(instanceId, fingerprints);
+  }
+
+  return {
+    get,
+    set,
+  };
+}
+
+function isSamePin(pinned, fingerprints) {
+  return (
+    pinned.rsaPublicKeyFingerprint === fingerprints.rsaPublicKeyFingerprint &&
+    pinned.ecdsaPublicKeyFingerprint === fingerprints.ecdsaPublicKeyFingerprint
+  );
+}
+
+module.exports = {
+  createMemoryKeyPinStore,
+  isSamePin,
+};
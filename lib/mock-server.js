@@ -0,0 +1,475 @@
+const http = require('http');
+const nodeCrypto = require('crypto');
+const srpServer = require('secure-remote-password/server');
+// optional peer dependency, only needed by apps using the mock
+const { Server } = require('socket.io');
+const { SUPPORTED_FORMATS } = require('./envelope');
+
+const DEFAULT_ACCESS_TOKEN_TTL = 60 * 60 * 1000;
+const OPEN_API_TIMEOUT = 10 * 1000;
+
+function generateId() {
+  return nodeCrypto.randomUUID();
+}
+
+function generateToken() {
+  return nodeCrypto.randomBytes(32).toString('hex');
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function httpError(status, errorCode) {
+  const error = new Error(errorCode);
+  error.status = status;
+  error.error_code = errorCode;
+  return error;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(httpError(400, 'BAD_REQUEST'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * In-process mock of the Gladys Gateway, for end-to-end tests without network.
+ *
+ * It implements the SRP login and two factor routes, the access token routes,
+ * the instance and user listings, the instance key update, and the socket.io
+ * authentication and message relaying between users and instances. Data is only
+ * kept in memory.
+ *
+ * The instance key update (PATCH /instances/keys, key_rotation and clear-key-cache sent
+ * by the instance) is the contract rotateInstanceKeys expects from the gateway, it is not
+ * part of the released gateway API.
+ *
+ * When `twoFactorCode` is null, any two factor code is accepted. Access tokens are
+ * unsigned JWTs expiring after `accessTokenTtl` ms, so the client schedules their renewal.
+ */
+function createMockGateway({
+  twoFactorCode = null,
+  accessTokenTtl = DEFAULT_ACCESS_TOKEN_TTL,
+  envelopeFormats = SUPPORTED_FORMATS,
+} = {}) {
+  const users = new Map();
+  const instances = new Map();
+  const loginSessions = new Map();
+  const twoFactorTokens = new Map();
+  const refreshTokens = new Map();
+  const accessTokens = new Map();
+  const userSockets = new Map();
+  const instanceSockets = new Map();
+  let server = null;
+  let io = null;
+
+  function createAccessToken(owner) {
+    const expiresAt = Date.now() + accessTokenTtl;
+    const token = [
+      base64url({ alg: 'none', typ: 'JWT' }),
+      base64url({ sub: owner.id, type: owner.type, exp: Math.floor(expiresAt / 1000), jti: generateId() }),
+      '',
+    ].join('.');
+    accessTokens.set(token, { ...owner, expiresAt });
+    return token;
+  }
+
+  function createRefreshToken(owner) {
+    const token = generateToken();
+    refreshTokens.set(token, owner);
+    return token;
+  }
+
+  function getAccessTokenOwner(token, type) {
+    const owner = accessTokens.get(token);
+    if (!owner || owner.type !== type || owner.expiresAt <= Date.now()) {
+      throw httpError(401, 'UNAUTHORIZED');
+    }
+    return owner;
+  }
+
+  function getUserByEmail(email) {
+    const user = Array.from(users.values()).find((oneUser) => oneUser.email === email);
+    if (!user) {
+      throw httpError(404, 'USER_NOT_FOUND');
+    }
+    return user;
+  }
+
+  function getUserInstances(userId) {
+    return Array.from(instances.values()).filter((instance) => instance.userIds.includes(userId));
+  }
+
+  function formatInstance(instance) {
+    return {
+      id: instance.id,
+      name: instance.name,
+      primary_instance: instance.primary_instance,
+      rsa_public_key: instance.rsa_public_key,
+      ecdsa_public_key: instance.ecdsa_public_key,
+      key_rotation: instance.key_rotation || null,
+    };
+  }
+
+  function formatUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      language: user.language,
+      rsa_public_key: user.rsa_public_key,
+      ecdsa_public_key: user.ecdsa_public_key,
+      gladys_4_user_id: user.gladys_4_user_id,
+    };
+  }
+
+  function signup(body) {
+    if (!body.email || !body.srp_salt || !body.srp_verifier) {
+      throw httpError(422, 'UNPROCESSABLE_ENTITY');
+    }
+    if (Array.from(users.values()).some((user) => user.email === body.email)) {
+      throw httpError(409, 'EMAIL_ALREADY_EXIST');
+    }
+    const user = {
+      ...body,
+      id: generateId(),
+      gladys_4_user_id: generateId(),
+    };
+    users.set(user.id, user);
+    return { id: user.id, email: user.email };
+  }
+
+  function loginSalt({ email }) {
+    return { srp_salt: getUserByEmail(email).srp_salt };
+  }
+
+  function loginGenerateEphemeral({ email, client_ephemeral_public: clientEphemeralPublic }) {
+    const user = getUserByEmail(email);
+    const serverEphemeral = srpServer.generateEphemeral(user.srp_verifier);
+    const loginSessionKey = generateToken();
+    loginSessions.set(loginSessionKey, { user, clientEphemeralPublic, serverEphemeralSecret: serverEphemeral.secret });
+    return { server_ephemeral_public: serverEphemeral.public, login_session_key: loginSessionKey };
+  }
+
+  function loginFinalize({ login_session_key: loginSessionKey, client_session_proof: clientSessionProof }) {
+    const loginSession = loginSessions.get(loginSessionKey);
+    if (!loginSession) {
+      throw httpError(401, 'UNAUTHORIZED');
+    }
+    loginSessions.delete(loginSessionKey);
+    const { user, clientEphemeralPublic, serverEphemeralSecret } = loginSession;
+
+    let serverSession;
+    try {
+      serverSession = srpServer.deriveSession(
+        serverEphemeralSecret,
+        clientEphemeralPublic,
+        user.srp_salt,
+        user.email,
+        user.srp_verifier,
+        clientSessionProof,
+      );
+    } catch (e) {
+      throw httpError(403, 'INVALID_PASSWORD');
+    }
+
+    const twoFactorToken = generateToken();
+    twoFactorTokens.set(twoFactorToken, user.id);
+    return { server_session_proof: serverSession.proof, two_factor_token: twoFactorToken };
+  }
+
+  function loginTwoFactor(authorization, { two_factor_code: code }) {
+    const userId = twoFactorTokens.get(authorization);
+    if (!userId) {
+      throw httpError(401, 'UNAUTHORIZED');
+    }
+    if (twoFactorCode !== null && code !== twoFactorCode) {
+      throw httpError(403, 'INVALID_TWO_FACTOR_CODE');
+    }
+    twoFactorTokens.delete(authorization);
+
+    const user = users.get(userId);
+    const owner = { type: 'user', id: user.id };
+    return {
+      access_token: createAccessToken(owner),
+      refresh_token: createRefreshToken(owner),
+      device_id: generateId(),
+      rsa_public_key: user.rsa_public_key,
+      ecdsa_public_key: user.ecdsa_public_key,
+      rsa_encrypted_private_key: user.rsa_encrypted_private_key,
+      ecdsa_encrypted_private_key: user.ecdsa_encrypted_private_key,
+      gladys_4_user_id: user.gladys_4_user_id,
+    };
+  }
+
+  function getAccessToken(type, authorization) {
+    const owner = refreshTokens.get(authorization);
+    if (!owner || owner.type !== type) {
+      throw httpError(401, 'UNAUTHORIZED');
+    }
+    return { access_token: createAccessToken(owner) };
+  }
+
+  function createInstance(userId, body) {
+    if (!body.rsa_public_key || !body.ecdsa_public_key) {
+      throw httpError(422, 'UNPROCESSABLE_ENTITY');
+    }
+    const instance = {
+      id: generateId(),
+      name: body.name,
+      primary_instance: getUserInstances(userId).length === 0,
+      rsa_public_key: body.rsa_public_key,
+      ecdsa_public_key: body.ecdsa_public_key,
+      userIds: [userId],
+    };
+    instances.set(instance.id, instance);
+    return {
+      ...formatInstance(instance),
+      refresh_token: createRefreshToken({ type: 'instance', id: instance.id }),
+    };
+  }
+
+  const routes = {
+    'POST /users/signup': ({ body }) => signup(body),
+    'POST /users/login-salt': ({ body }) => loginSalt(body),
+    'POST /users/login-generate-ephemeral': ({ body }) => loginGenerateEphemeral(body),
+    'POST /users/login-finalize': ({ body }) => loginFinalize(body),
+    'POST /users/login-two-factor': ({ authorization, body }) => loginTwoFactor(authorization, body),
+    'GET /users/access-token': ({ authorization }) => getAccessToken('user', authorization),
+    'GET /instances/access-token': ({ authorization }) => getAccessToken('instance', authorization),
+    'GET /users/me': ({ authorization }) => formatUser(users.get(getAccessTokenOwner(authorization, 'user').id)),
+    'PATCH /users/me': ({ authorization, body }) => {
+      const user = users.get(getAccessTokenOwner(authorization, 'user').id);
+      ['name', 'language', 'rsa_encrypted_private_key', 'ecdsa_encrypted_private_key'].forEach((key) => {
+        if (body[key] !== undefined) {
+          user[key] = body[key];
+        }
+      });
+      return formatUser(user);
+    },
+    'GET /instances': ({ authorization }) =>
+      getUserInstances(getAccessTokenOwner(authorization, 'user').id).map(formatInstance),
+    'POST /instances': ({ authorization, body }) => createInstance(getAccessTokenOwner(authorization, 'user').id, body),
+    // the instance publishes its new public keys, see rotateInstanceKeys
+    'PATCH /instances/keys': ({ authorization, body }) => {
+      const instance = instances.get(getAccessTokenOwner(authorization, 'instance').id);
+      if (!body.rsa_public_key || !body.ecdsa_public_key) {
+        throw httpError(422, 'UNPROCESSABLE_ENTITY');
+      }
+      instance.rsa_public_key = body.rsa_public_key;
+      instance.ecdsa_public_key = body.ecdsa_public_key;
+      // users check the rotation with the keys they pinned, it is kept until the next one
+      instance.key_rotation = body.key_rotation || null;
+      return formatInstance(instance);
+    },
+    'GET /instances/users': ({ authorization }) => {
+      const instance = instances.get(getAccessTokenOwner(authorization, 'instance').id);
+      return instance.userIds.map((userId) => ({
+        ...formatUser(users.get(userId)),
+        connected: userSockets.has(userId),
+      }));
+    },
+  };
+
+  async function handleRequest(req, res) {
+    const send = (status, data) => {
+      res.statusCode = status;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(data));
+    };
+    const path = req.url.split('?')[0];
+    const handler = routes[`${req.method} ${path}`];
+    if (!handler) {
+      send(404, { status: 404, error_code: 'NOT_FOUND' });
+      return;
+    }
+    try {
+      const body = await readBody(req);
+      send(200, await handler({ authorization: req.headers.authorization, body }));
+    } catch (e) {
+      const status = e.status || 500;
+      send(status, { status, error_code: e.error_code || 'SERVER_ERROR', error_message: e.message });
+    }
+  }
+
+  // the users of the instance are told a user came, or left
+  function notifyInstances(userId) {
+    getUserInstances(userId).forEach((instance) => {
+      const socket = instanceSockets.get(instance.id);
+      if (socket) {
+        socket.emit('clear-connected-users-list');
+      }
+    });
+  }
+
+  function authenticateSocket(socket, type, sockets) {
+    socket.on(`${type}-authentication`, (authentication, fn) => {
+      let owner;
+      try {
+        owner = getAccessTokenOwner(authentication && authentication.access_token, type);
+      } catch (e) {
+        fn({ authenticated: false, status: e.status, error_code: e.error_code });
+        return;
+      }
+      socket.data.owner = owner;
+      sockets.set(owner.id, socket);
+      fn({ authenticated: true, envelope_formats: envelopeFormats });
+      if (type === 'user') {
+        notifyInstances(owner.id);
+      }
+    });
+  }
+
+  function relayToInstance(userId, payload, ack) {
+    const instance = instances.get(payload && payload.instance_id);
+    const instanceSocket = instance && instance.userIds.includes(userId) && instanceSockets.get(instance.id);
+    if (!instanceSocket) {
+      ack({ status: 404, error_code: 'NO_INSTANCE_FOUND' });
+      return;
+    }
+    instanceSocket.emit('message', { ...payload, sender_id: userId }, (response) => ack(response));
+  }
+
+  function relayToUser(instanceId, payload, ack) {
+    const instance = instances.get(instanceId);
+    const userSocket = instance.userIds.includes(payload && payload.user_id) && userSockets.get(payload.user_id);
+    if (!userSocket) {
+      ack({ status: 404, error_code: 'USER_NOT_CONNECTED' });
+      return;
+    }
+    userSocket.emit('message', { ...payload, instance_id: instanceId });
+    ack({ status: 200 });
+  }
+
+  function handleConnection(socket) {
+    authenticateSocket(socket, 'user', userSockets);
+    authenticateSocket(socket, 'instance', instanceSockets);
+
+    socket.on('latency', (startTime, fn) => fn(startTime));
+
+    // messages are only relayed once the socket is authenticated
+    socket.on('message', (payload, fn) => {
+      const ack = fn || (() => {});
+      const { owner } = socket.data;
+      if (!owner) {
+        ack({ status: 401, error_code: 'UNAUTHORIZED' });
+      } else if (owner.type === 'user') {
+        relayToInstance(owner.id, payload, ack);
+      } else {
+        relayToUser(owner.id, payload, ack);
+      }
+    });
+
+    // the instance keys have changed, its users have to fetch them again
+    socket.on('clear-key-cache', () => {
+      const { owner } = socket.data;
+      if (!owner || owner.type !== 'instance') {
+        return;
+      }
+      instances.get(owner.id).userIds.forEach((userId) => {
+        const userSocket = userSockets.get(userId);
+        if (userSocket) {
+          userSocket.emit('clear-key-cache');
+        }
+      });
+    });
+
+    socket.on('disconnect', () => {
+      const { owner } = socket.data;
+      if (!owner) {
+        return;
+      }
+      const sockets = owner.type === 'user' ? userSockets : instanceSockets;
+      if (sockets.get(owner.id) === socket) {
+        sockets.delete(owner.id);
+      }
+      if (owner.type === 'user') {
+        notifyInstances(owner.id);
+      }
+    });
+  }
+
+  // starts the server, resolves with its url. Port 0 picks a free port
+  async function listen(port = 0) {
+    server = http.createServer((req, res) => {
+      handleRequest(req, res);
+    });
+    io = new Server(server);
+    io.on('connection', handleConnection);
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function close() {
+    if (io) {
+      io.close();
+    }
+    if (server && server.listening) {
+      await new Promise((resolve) => {
+        server.close(() => resolve());
+      });
+    }
+    io = null;
+    server = null;
+  }
+
+  // sends a message to an instance as a third-party would, through the open API
+  function sendOpenApiMessage(instanceId, data, { timeout = OPEN_API_TIMEOUT } = {}) {
+    const socket = instanceSockets.get(instanceId);
+    if (!socket) {
+      return Promise.reject(httpError(404, 'NO_INSTANCE_FOUND'));
+    }
+    return socket.timeout(timeout).emitWithAck('open-api-message', data);
+  }
+
+  // gives an existing user access to an instance, like an invitation would
+  function addUserToInstance(userId, instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance || !users.has(userId)) {
+      throw httpError(404, 'NOT_FOUND');
+    }
+    if (!instance.userIds.includes(userId)) {
+      instance.userIds.push(userId);
+    }
+  }
+
+  // the next requests and socket authentications using this token get a 401
+  function revokeRefreshToken(token) {
+    refreshTokens.delete(token);
+  }
+
+  function expireAccessTokens() {
+    accessTokens.clear();
+  }
+
+  return {
+    listen,
+    close,
+    sendOpenApiMessage,
+    addUserToInstance,
+    revokeRefreshToken,
+    expireAccessTokens,
+    users,
+    instances,
+  };
+}
+
+module.exports = {
+  createMockGateway,
+};
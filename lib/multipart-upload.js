@@ -0,0 +1,98 @@
+// Reads the stream part by part, and uploads at most `concurrency` parts at the same time.
+// Resolves with the list of uploaded parts, in order.
+function uploadParts(readStream, { partSize, partsCount, concurrency, uploadPart, onPartUploaded }) {
+  return new Promise((resolve, reject) => {
+    const uploadedParts = [];
+    // parts read from the stream, waiting for an upload slot
+    const readyParts = [];
+    let buffers = [];
+    let bufferedLength = 0;
+    let partsRead = 0;
+    let inFlight = 0;
+    let ended = false;
+    let failed = false;
+
+    const fail = (e) => {
+      if (!failed) {
+        failed = true;
+        readStream.destroy();
+        reject(e);
+      }
+    };
+
+    const checkCompletion = () => {
+      if (failed || !ended || inFlight > 0 || readyParts.length > 0) {
+        return;
+      }
+      if (partsRead !== partsCount) {
+        fail(new Error(`Backup has ${partsRead} parts, ${partsCount} were expected`));
+        return;
+      }
+      resolve(uploadedParts);
+    };
+
+    let pump;
+
+    const startUpload = ({ index, data }) => {
+      inFlight += 1;
+      uploadPart(index, data)
+        .then((uploadedPart) => {
+          uploadedParts[index] = uploadedPart;
+          inFlight -= 1;
+          onPartUploaded(index, data.length);
+          pump();
+        })
+        .catch(fail);
+    };
+
+    pump = () => {
+      while (!failed && inFlight < concurrency && readyParts.length > 0) {
+        startUpload(readyParts.shift());
+      }
+      // don't read more than what we can upload
+      if (!ended && !failed) {
+        if (readyParts.length > 0) {
+          readStream.pause();
+        } else {
+          readStream.resume();
+        }
+      }
+      checkCompletion();
+    };
+
+    const readPart = (length) => {
+      const data = Buffer.concat(buffers, bufferedLength);
+      buffers = [data.subarray(length)];
+      bufferedLength -= length;
+      if (partsRead >= partsCount) {
+        fail(new Error(`Backup is bigger than the ${partsCount} expected parts`));
+        return;
+      }
+      readyParts.push({ index: partsRead, data: data.subarray(0, length) });
+      partsRead += 1;
+    };
+
+    readStream.on('data', (data) => {
+      buffers.push(data);
+      bufferedLength += data.length;
+      while (!failed && bufferedLength >= partSize) {
+        readPart(partSize);
+      }
+      pump();
+    });
+
+    readStream.on('end', () => {
+      if (bufferedLength > 0 && !failed) {
+        readPart(bufferedLength);
+      }
+      ended = true;
+      pump();
+    });
+
+    readStream.on('error', fail);
+  });
+}
+
+module.exports = {
+  uploadParts,
+};
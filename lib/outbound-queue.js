@@ -0,0 +1,77 @@
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_MAX_SIZE = 100;
+
+// fields of the event data telling which device (or entity) the event is about
+const SELECTOR_FIELDS = ['device_feature_selector', 'device_selector', 'selector'];
+
+// a newer event of the same type about the same device replaces the one waiting in the queue,
+// events which are not about a device are all kept
+function getEventCoalesceKey(data) {
+  if (!data || !data.type || !data.event || !data.data) {
+    return null;
+  }
+  const selectorField = SELECTOR_FIELDS.find((field) => typeof data.data[field] === 'string');
+  if (!selectorField) {
+    return null;
+  }
+  return `${data.type}:${data.event}:${data.data[selectorField]}`;
+}
+
+/**
+ * In-memory queue of messages waiting for a user to be connected.
+ *
+ * Messages are kept per user until they expire (`ttl`), and only the `maxSize`
+ * newest ones are kept. When `coalesceKey(data)` returns a key, a message with
+ * the same key replaces the queued one. Return null to keep every message.
+ */
+function createOutboundQueue({
+  ttl = DEFAULT_TTL,
+  maxSize = DEFAULT_MAX_SIZE,
+  coalesceKey = getEventCoalesceKey,
+} = {}) {
+  const queues = new Map();
+
+  function getQueue(userId, now) {
+    const queue = (queues.get(userId) || []).filter((message) => message.expiresAt > now);
+    if (queue.length > 0) {
+      queues.set(userId, queue);
+    } else {
+      queues.delete(userId);
+    }
+    return queue;
+  }
+
+  function enqueue(userId, data) {
+    const now = Date.now();
+    const key = coalesceKey(data);
+    const queue = getQueue(userId, now).filter((message) => key === null || message.key !== key);
+    queue.push({ data, key, expiresAt: now + ttl });
+    queues.set(userId, queue.slice(-maxSize));
+  }
+
+  // removes and returns the messages of the user, oldest first
+  function take(userId) {
+    const queue = getQueue(userId, Date.now());
+    queues.delete(userId);
+    return queue.map((message) => message.data);
+  }
+
+  function userIds() {
+    return Array.from(queues.keys());
+  }
+
+  function size(userId) {
+    return getQueue(userId, Date.now()).length;
+  }
+
+  return {
+    enqueue,
+    take,
+    userIds,
+    size,
+  };
+}
+
+module.exports = {
+  createOutboundQueue,
+};
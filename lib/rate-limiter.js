@@ -0,0 +1,52 @@
+const DEFAULT_CAPACITY = 60;
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_KEYS = 10000;
+
+/**
+ * Token bucket rate limiter, one bucket per key.
+ *
+ * Each key can make `capacity` calls in a burst, and gets `capacity` new calls
+ * every `interval` ms. Only the `maxKeys` most recently used keys are remembered.
+ */
+function createRateLimiter({
+  capacity = DEFAULT_CAPACITY,
+  interval = DEFAULT_INTERVAL,
+  maxKeys = DEFAULT_MAX_KEYS,
+} = {}) {
+  const buckets = new Map();
+
+  function consume(key) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * capacity) / interval);
+    bucket.updatedAt = now;
+
+    // deleting and setting again keeps the most recently used keys last (Map keeps insertion order)
+    buckets.delete(key);
+    buckets.set(key, bucket);
+    const iterator = buckets.keys();
+    while (buckets.size > maxKeys) {
+      buckets.delete(iterator.next().value);
+    }
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        retryAfter: Math.ceil(((1 - bucket.tokens) * interval) / capacity),
+      };
+    }
+    bucket.tokens -= 1;
+    return {
+      allowed: true,
+      remaining: Math.floor(bucket.tokens),
+    };
+  }
+
+  return {
+    consume,
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
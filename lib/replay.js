@@ -0,0 +1,52 @@
+const DEFAULT_MAX_SIZE = 10000;
+
+/**
+ * In-memory store of already seen message IDs.
+ *
+ * A store only needs to implement `has(id)` and `add(id, expiresAt)`, both can
+ * return a promise, so it can be swapped for a shared backend (redis, db...).
+ * Entries are kept until they expire, and the oldest ones are evicted first
+ * once `maxSize` is reached.
+ */
+function createMemoryReplayStore({ maxSize = DEFAULT_MAX_SIZE } = {}) {
+  const seenIds = new Map();
+
+  function purgeExpired(now) {
+    seenIds.forEach((expiresAt, id) => {
+      if (expiresAt <= now) {
+        seenIds.delete(id);
+      }
+    });
+  }
+
+  function has(id) {
+    const expiresAt = seenIds.get(id);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  function add(id, expiresAt) {
+    if (seenIds.size >= maxSize) {
+      purgeExpired(Date.now());
+    }
+    // still full, we evict the oldest entries (Map keeps insertion order)
+    const iterator = seenIds.keys();
+    while (seenIds.size >= maxSize) {
+      seenIds.delete(iterator.next().value);
+    }
+    seenIds.set(id, expiresAt);
+  }
+
+  function size() {
+    return seenIds.size;
+  }
+
+  return {
+    has,
+    add,
+    size,
+  };
+}
+
+module.exports = {
+  createMemoryReplayStore,
+};
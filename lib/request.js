@@ -1,6 +1,16 @@
 const axios = require('axios');
+const { retry, getBackoffDelay } = require('./retry');
+const { withTimeout } = require('./timeout');
+const { GatewayError, AuthenticationError, HttpError, GatewayTimeoutError, AbortError } = require('./errors');
 
-async function getAccessToken(state) {
+const DEFAULT_TIMEOUT = 30 * 1000;
+const DEFAULT_RETRIES = 3;
+
+function getDefaultTimeout(state) {
+  return (state.httpOptions && state.httpOptions.timeout) || DEFAULT_TIMEOUT;
+}
+
+async function getAccessToken(state, timeout) {
   const route = state.isInstance ? '/instances/access-token' : '/users/access-token';
 
   state.accessToken = (
@@ -8,79 +18,175 @@ async function getAccessToken(state) {
       headers: {
         authorization: state.refreshToken,
       },
+      timeout,
     })
   ).data.access_token;
 }
 
-function post(url, data, state) {
-  return axios
-    .post(url, data, {
-      headers: {
-        authorization: state.accessToken,
-      },
-    })
-    .then((result) => result.data)
-    .catch(async (err) => {
-      if (err && err.response && err.response.status === 401) {
-        await getAccessToken(state);
-        return post(url, data, state);
-      }
-      return Promise.reject(err);
-    });
+// the refresh token was revoked, or has expired
+function isRefreshTokenRejected(err) {
+  return Boolean(err && err.response && [401, 403].includes(err.response.status));
 }
 
-function remove(url, state) {
-  return axios
-    .delete(url, {
-      headers: {
-        authorization: state.accessToken,
-      },
-    })
-    .then((data) => data.data)
-    .catch(async (err) => {
-      if (err && err.response && err.response.status === 401) {
-        await getAccessToken(state);
-        return remove(url, state);
-      }
-      return Promise.reject(err);
-    });
+function toGatewayError(err, timeout) {
+  if (err instanceof GatewayError) {
+    return err;
+  }
+  if (axios.isCancel(err)) {
+    return new AbortError(undefined, { cause: err });
+  }
+  if (err && err.code === 'ECONNABORTED' && !err.response) {
+    return new GatewayTimeoutError(timeout, undefined, { cause: err });
+  }
+  if (err && err.isAxiosError) {
+    return new HttpError(err);
+  }
+  return err;
 }
 
-function patch(url, data, state) {
-  return axios
-    .patch(url, data, {
-      headers: {
-        authorization: state.accessToken,
-      },
-    })
-    .then((result) => result.data)
-    .catch(async (err) => {
-      if (err && err.response && err.response.status === 401) {
-        await getAccessToken(state);
-        return patch(url, data, state);
-      }
-      return Promise.reject(err);
-    });
+// login routes answer with a 401 or a 403 when the credentials or the two factor code are wrong
+function toAuthenticationError(err) {
+  if (isRefreshTokenRejected(err)) {
+    return new AuthenticationError(undefined, { cause: err });
+  }
+  return toGatewayError(err);
+}
+
+// all requests receiving a 401 at the same time wait for the same refresh
+function refreshAccessToken(state) {
+  if (!state.accessTokenRefresh) {
+    const timeout = getDefaultTimeout(state);
+    state.accessTokenRefresh = getAccessToken(state, timeout)
+      .then(() => {
+        if (state.scheduleAccessTokenRenewal) {
+          state.scheduleAccessTokenRenewal();
+        }
+      })
+      .catch((err) => {
+        if (isRefreshTokenRejected(err)) {
+          const error = new AuthenticationError('SESSION_EXPIRED', { code: 'SESSION_EXPIRED', cause: err });
+          if (state.expireSession) {
+            state.expireSession(error);
+          }
+          throw error;
+        }
+        throw toGatewayError(err, timeout);
+      })
+      .finally(() => {
+        state.accessTokenRefresh = null;
+      });
+  }
+  return state.accessTokenRefresh;
 }
 
-function get(url, state) {
-  return axios
-    .get(url, {
+function isSessionExpired(err) {
+  return err instanceof AuthenticationError && err.code === 'SESSION_EXPIRED';
+}
+
+function getCancelToken(signal) {
+  if (!signal) {
+    return undefined;
+  }
+  const source = axios.CancelToken.source();
+  if (signal.aborted) {
+    source.cancel('ABORTED');
+  } else {
+    signal.addEventListener('abort', () => source.cancel('ABORTED'), { once: true });
+  }
+  return source.token;
+}
+
+// network errors, timeouts, rate limiting and server errors are worth retrying,
+// but a POST is only sent again when we know the server didn't process it
+function isRetryable(err, method) {
+  // an expired session, or an aborted request
+  if (err instanceof GatewayError || axios.isCancel(err)) {
+    return false;
+  }
+  if (method === 'POST') {
+    return err.code === 'ECONNREFUSED' || (err.response && [429, 502, 503].includes(err.response.status));
+  }
+  if (!err.response) {
+    return true;
+  }
+  return err.response.status === 429 || err.response.status >= 500;
+}
+
+function getRetryDelay(attempt, options, err) {
+  const retryAfter = err && err.response && err.response.headers && err.response.headers['retry-after'];
+  if (retryAfter) {
+    // Retry-After is either a number of seconds, or a date
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+  return getBackoffDelay(attempt, options);
+}
+
+function request(config, state, options = {}) {
+  const defaults = state.httpOptions || {};
+  const {
+    signal,
+    timeout = defaults.timeout || DEFAULT_TIMEOUT,
+    retries = defaults.retries !== undefined ? defaults.retries : DEFAULT_RETRIES,
+  } = options;
+  const cancelToken = getCancelToken(signal);
+  let accessTokenRefreshed = false;
+
+  const send = () =>
+    axios({
+      ...config,
       headers: {
         authorization: state.accessToken,
       },
+      timeout,
+      cancelToken,
     })
-    .then((data) => data.data)
-    .catch(async (err) => {
-      if (err && err.response && err.response.status === 401) {
-        await getAccessToken(state);
-        return get(url, state);
-      }
-      return Promise.reject(err);
-    });
+      .then((result) => result.data)
+      .catch(async (err) => {
+        // the access token is refreshed only once per request
+        if (err && err.response && err.response.status === 401 && !accessTokenRefreshed) {
+          accessTokenRefreshed = true;
+          // the refresh is shared, each request stops waiting for it on its own timeout or signal
+          await withTimeout(refreshAccessToken(state), { timeout, signal });
+          return send();
+        }
+        return Promise.reject(err);
+      });
+
+  return retry(send, {
+    retries,
+    shouldRetry: (err) => !(signal && signal.aborted) && isRetryable(err, config.method),
+    getDelay: getRetryDelay,
+    signal,
+  }).catch((err) => {
+    throw toGatewayError(err, timeout);
+  });
+}
+
+function post(url, data, state, options) {
+  return request({ method: 'POST', url, data }, state, options);
+}
+
+function remove(url, state, options) {
+  return request({ method: 'DELETE', url }, state, options);
+}
+
+function patch(url, data, state, options) {
+  return request({ method: 'PATCH', url, data }, state, options);
+}
+
+function get(url, state, options) {
+  return request({ method: 'GET', url }, state, options);
 }
 
 module.exports.post = post;
 module.exports.get = get;
 module.exports.patch = patch;
 module.exports.delete = remove;
+module.exports.refreshAccessToken = refreshAccessToken;
+module.exports.isSessionExpired = isSessionExpired;
+module.exports.toGatewayError = toGatewayError;
+module.exports.toAuthenticationError = toAuthenticationError;
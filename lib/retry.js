@@ -0,0 +1,66 @@
+const { AbortError } = require('./errors');
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_MIN_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 30 * 1000;
+
+// rejects with an AbortError as soon as the signal is aborted
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// exponential backoff, with some jitter so clients don't retry all at the same time
+function getBackoffDelay(attempt, { minDelay = DEFAULT_MIN_DELAY, maxDelay = DEFAULT_MAX_DELAY } = {}) {
+  const delay = Math.min(maxDelay, minDelay * 2 ** attempt);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+async function retry(fn, options = {}, attempt = 0) {
+  const {
+    retries = DEFAULT_RETRIES,
+    shouldRetry = () => true,
+    getDelay = getBackoffDelay,
+    onRetry,
+    maxDelay = DEFAULT_MAX_DELAY,
+    signal,
+  } = options;
+  try {
+    return await fn(attempt);
+  } catch (e) {
+    if (attempt >= retries || !shouldRetry(e)) {
+      throw e;
+    }
+    // a Retry-After sent by the server can't make us wait longer than maxDelay
+    const delay = Math.min(getDelay(attempt, options, e), maxDelay);
+    if (onRetry) {
+      onRetry(e, attempt + 1, delay);
+    }
+    await wait(delay, signal);
+    return retry(fn, options, attempt + 1);
+  }
+}
+
+module.exports = {
+  wait,
+  getBackoffDelay,
+  retry,
+};
@@ -0,0 +1,131 @@
+function createError(status, errorCode) {
+  return { status, error_code: errorCode };
+}
+
+// '/api/v1/device/:device_selector' => /^\/api\/v1\/device\/([^/]+)\/?$/ and ['device_selector']
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.+*?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regexp: new RegExp(`^${pattern}/?$`), keys };
+}
+
+// runs the handlers one after the other, each one can answer, or call next()
+function compose(handlers) {
+  return (req) => {
+    const dispatch = (i) => {
+      if (i >= handlers.length) {
+        return Promise.resolve(undefined);
+      }
+      return Promise.resolve(handlers[i](req, () => dispatch(i + 1)));
+    };
+    return dispatch(0);
+  };
+}
+
+function parseUrl(url) {
+  const [path, queryString] = (url || '/').split('?');
+  const query = {};
+  new URLSearchParams(queryString || '').forEach((value, key) => {
+    query[key] = value;
+  });
+  return { path, query };
+}
+
+/**
+ * Router for the gladys-api-call messages sent with sendRequest.
+ *
+ * Middlewares and handlers are called with (req, next), and return the response sent
+ * back to the user. A middleware can answer directly, or return what next() returns.
+ * Errors thrown with a status and an error_code are sent as is, other errors are
+ * answered with a 500.
+ */
+function createRouter({ logger } = {}) {
+  const middlewares = [];
+  const routes = [];
+
+  function use(...handlers) {
+    middlewares.push(...handlers);
+  }
+
+  function route(method, path, ...handlers) {
+    routes.push({ method, path, handle: compose(handlers), ...compilePath(path) });
+  }
+
+  function hasRoutes() {
+    return routes.length > 0;
+  }
+
+  async function dispatch(req) {
+    const matchingRoutes = routes.filter(({ regexp }) => regexp.test(req.path));
+    if (matchingRoutes.length === 0) {
+      return createError(404, 'NOT_FOUND');
+    }
+    const matchingRoute = matchingRoutes.find(({ method }) => method === req.method);
+    if (!matchingRoute) {
+      return createError(405, 'METHOD_NOT_ALLOWED');
+    }
+    const values = matchingRoute.regexp.exec(req.path).slice(1);
+    try {
+      matchingRoute.keys.forEach((key, i) => {
+        req.params[key] = decodeURIComponent(values[i]);
+      });
+    } catch (e) {
+      // a malformed % sequence is the fault of the caller
+      return createError(400, 'INVALID_URL');
+    }
+    return matchingRoute.handle(req);
+  }
+
+  // message is the decrypted gladys-api-call, meta the socket message it came with
+  async function handle(message, meta = {}) {
+    const options = message.options || {};
+    const { path, query } = parseUrl(options.url);
+    const req = {
+      method: (options.method || 'GET').toUpperCase(),
+      path,
+      params: {},
+      query: { ...query, ...options.query },
+      data: options.data,
+      message,
+      meta,
+    };
+
+    try {
+      return await compose([...middlewares, dispatch])(req);
+    } catch (e) {
+      if (e && e.status && e.error_code) {
+        return createError(e.status, e.error_code);
+      }
+      if (logger) {
+        logger.warn(`Gladys Gateway: Error while handling ${req.method} ${req.path}`);
+        logger.warn(e);
+      }
+      return createError(500, 'SERVER_ERROR');
+    }
+  }
+
+  return {
+    use,
+    route,
+    get: (path, ...handlers) => route('GET', path, ...handlers),
+    post: (path, ...handlers) => route('POST', path, ...handlers),
+    patch: (path, ...handlers) => route('PATCH', path, ...handlers),
+    delete: (path, ...handlers) => route('DELETE', path, ...handlers),
+    hasRoutes,
+    handle,
+  };
+}
+
+module.exports = {
+  createRouter,
+};
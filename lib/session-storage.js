@@ -0,0 +1,108 @@
+const fs = require('fs');
+
+const DEFAULT_BROWSER_PREFIX = 'gladys-gateway:';
+
+/**
+ * In-memory session storage.
+ *
+ * A storage only needs to implement `get(key)`, `set(key, value)` and `remove(key)`,
+ * all can return a promise. Values are strings, and `get` returns null for unknown keys.
+ * Sessions are sealed before being stored, so a storage doesn't have to encrypt them.
+ */
+function createMemorySessionStorage() {
+  const values = new Map();
+
+  function get(key) {
+    return values.has(key) ? values.get(key) : null;
+  }
+
+  function set(key, value) {
+    values.set(key, value);
+  }
+
+  function remove(key) {
+    values.delete(key);
+  }
+
+  return {
+    get,
+    set,
+    remove,
+  };
+}
+
+/**
+ * Session storage in a JSON file, for Node.js apps and scripts.
+ *
+ * The file is only readable by its owner.
+ */
+function createFileSessionStorage({ path }) {
+  async function read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {};
+      }
+      throw e;
+    }
+  }
+
+  async function write(values) {
+    await fs.promises.writeFile(path, JSON.stringify(values, null, 2), { mode: 0o600 });
+  }
+
+  async function get(key) {
+    const values = await read();
+    return values[key] !== undefined ? values[key] : null;
+  }
+
+  async function set(key, value) {
+    const values = await read();
+    values[key] = value;
+    await write(values);
+  }
+
+  async function remove(key) {
+    const values = await read();
+    if (values[key] !== undefined) {
+      delete values[key];
+      await write(values);
+    }
+  }
+
+  return {
+    get,
+    set,
+    remove,
+  };
+}
+
+/**
+ * Session storage in a Web Storage (localStorage by default).
+ */
+function createBrowserSessionStorage({ storage = window.localStorage, prefix = DEFAULT_BROWSER_PREFIX } = {}) {
+  function get(key) {
+    return storage.getItem(prefix + key);
+  }
+
+  function set(key, value) {
+    storage.setItem(prefix + key, value);
+  }
+
+  function remove(key) {
+    storage.removeItem(prefix + key);
+  }
+
+  return {
+    get,
+    set,
+    remove,
+  };
+}
+
+module.exports = {
+  createMemorySessionStorage,
+  createFileSessionStorage,
+  createBrowserSessionStorage,
+};
@@ -0,0 +1,41 @@
+const { GatewayTimeoutError, AbortError } = require('./errors');
+
+// settles like the promise, unless the timeout elapses or the signal is aborted first
+function withTimeout(promise, { timeout, signal } = {}) {
+  if (!timeout && !signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    let onAbort = null;
+
+    const settle = (callback, value) => {
+      clearTimeout(timer);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      callback(value);
+    };
+
+    // attached first, so a late rejection is never unhandled
+    promise.then(
+      (value) => settle(resolve, value),
+      (e) => settle(reject, e),
+    );
+    if (signal) {
+      if (signal.aborted) {
+        settle(reject, new AbortError());
+        return;
+      }
+      onAbort = () => settle(reject, new AbortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (timeout) {
+      timer = setTimeout(() => settle(reject, new GatewayTimeoutError(timeout)), timeout);
+    }
+  });
+}
+
+module.exports = {
+  withTimeout,
+};
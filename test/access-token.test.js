@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const { AuthenticationError } = require('../lib/errors');
+const { EMAIL, setupGateway, wait, waitForEvent } = require('./helpers/gateway');
+
+// access tokens are renewed one minute before they expire, these ones are renewed within a second
+const SHORT_ACCESS_TOKEN_TTL = 61 * 1000;
+
+describe('access token', () => {
+  describe('renewal', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway({ mockOptions: { accessTokenTtl: SHORT_ACCESS_TOKEN_TTL } });
+    });
+
+    after(() => gateway.close());
+
+    it('should renew the access token before it expires', async () => {
+      const { user } = gateway;
+      const { accessToken } = user;
+
+      await wait(1500);
+
+      user.accessToken.should.not.equal(accessToken);
+      (await user.getMyself()).should.have.property('email', EMAIL);
+    });
+
+    it('should expire the session when the refresh token is revoked', async () => {
+      const { user, mock, session } = gateway;
+      const expired = waitForEvent(user, 'session-expired');
+
+      mock.revokeRefreshToken(session.refreshToken);
+
+      const [error] = await expired;
+      error.should.be.instanceOf(AuthenticationError);
+      error.code.should.equal('SESSION_EXPIRED');
+      should(user.accessTokenRenewalTimer).be.null();
+    });
+  });
+
+  describe('on request', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('should refresh an expired access token', async () => {
+      const { user, mock } = gateway;
+      const { accessToken } = user;
+
+      mock.expireAccessTokens();
+
+      (await user.getMyself()).should.have.property('email', EMAIL);
+      user.accessToken.should.not.equal(accessToken);
+    });
+
+    it('should expire the session when the refresh token is revoked', async () => {
+      const { user, mock, session } = gateway;
+      const expirations = [];
+      user.on('session-expired', (error) => expirations.push(error));
+
+      mock.revokeRefreshToken(session.refreshToken);
+      mock.expireAccessTokens();
+
+      const error = await user.getMyself().catch((e) => e);
+      error.should.be.instanceOf(AuthenticationError);
+      error.code.should.equal('SESSION_EXPIRED');
+      expirations.should.have.length(1);
+    });
+  });
+});
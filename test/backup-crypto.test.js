@@ -0,0 +1,82 @@
+const { webcrypto, randomBytes } = require('crypto');
+const { Readable } = require('stream');
+const { describe, it, before } = require('mocha');
+require('should');
+const BackupCrypto = require('../lib/backup-crypto');
+const { DecryptionError } = require('../lib/errors');
+
+const backupCrypto = BackupCrypto({ cryptoLib: webcrypto });
+
+const BACKUP_KEY = 'backup-key';
+const CHUNK_SIZE = 1000;
+const HEADER_LENGTH = 37;
+const CHUNK_HEADER_LENGTH = 4;
+const TAG_LENGTH = 16;
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function encrypt(plaintext) {
+  // the plaintext arrives in pieces which don't match the chunks
+  const input = Readable.from([plaintext.subarray(0, 7), plaintext.subarray(7)]);
+  return collect(input.pipe(backupCrypto.createEncryptStream(BACKUP_KEY, { chunkSize: CHUNK_SIZE, iterations: 1000 })));
+}
+
+function decrypt(encrypted, backupKey = BACKUP_KEY) {
+  return collect(Readable.from([encrypted]).pipe(backupCrypto.createDecryptStream(backupKey)));
+}
+
+describe('backup crypto', () => {
+  const plaintext = randomBytes(3500);
+  let encrypted;
+
+  before(async () => {
+    encrypted = await encrypt(plaintext);
+  });
+
+  it('should decrypt what it encrypted', async () => {
+    encrypted.length.should.equal(backupCrypto.getEncryptedSize(plaintext.length, { chunkSize: CHUNK_SIZE }));
+    (await decrypt(encrypted)).should.deepEqual(plaintext);
+  });
+
+  it('should encrypt an empty backup', async () => {
+    (await decrypt(await encrypt(Buffer.alloc(0)))).length.should.equal(0);
+  });
+
+  it('should detect a modified chunk', async () => {
+    const tampered = Buffer.from(encrypted);
+    tampered[HEADER_LENGTH + CHUNK_HEADER_LENGTH + 10] += 1;
+
+    await decrypt(tampered).should.be.rejectedWith(DecryptionError, { code: 'INVALID_BACKUP_CHUNK' });
+  });
+
+  it('should detect a wrong backup key', async () => {
+    await decrypt(encrypted, 'wrong-key').should.be.rejectedWith(DecryptionError, { code: 'INVALID_BACKUP_CHUNK' });
+  });
+
+  it('should detect a backup cut in the middle of a chunk', async () => {
+    await decrypt(encrypted.subarray(0, encrypted.length - 5)).should.be.rejectedWith(DecryptionError, {
+      code: 'BACKUP_TRUNCATED',
+    });
+  });
+
+  it('should detect a backup cut after a complete chunk', async () => {
+    const firstChunkEnd = HEADER_LENGTH + CHUNK_HEADER_LENGTH + CHUNK_SIZE + TAG_LENGTH;
+
+    await decrypt(encrypted.subarray(0, firstChunkEnd)).should.be.rejectedWith(DecryptionError, {
+      code: 'BACKUP_TRUNCATED',
+    });
+  });
+
+  it('should detect data after the final chunk', async () => {
+    const extended = Buffer.concat([encrypted, Buffer.alloc(CHUNK_HEADER_LENGTH + TAG_LENGTH)]);
+
+    await decrypt(extended).should.be.rejectedWith(DecryptionError, { code: 'INVALID_BACKUP_TRAILING_DATA' });
+  });
+});
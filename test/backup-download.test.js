@@ -0,0 +1,154 @@
+const http = require('http');
+const { randomBytes, createHash } = require('crypto');
+const { Readable, Writable } = require('stream');
+const { describe, it, before, after, beforeEach } = require('mocha');
+require('should');
+const { GatewayError, DecryptionError } = require('../lib/errors');
+const { createGateway } = require('./helpers/gateway');
+
+const CUT_AFTER = 100000;
+
+function createSink() {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  sink.getData = () => Buffer.concat(chunks);
+  return sink;
+}
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+describe('backup download', () => {
+  const gateway = createGateway('http://localhost');
+  let server;
+  let url;
+  let file;
+  // offsets asked by each request
+  let requests;
+  // the first requests are cut after CUT_AFTER bytes
+  let cutRequests;
+  // then the next ones stop sending anything after CUT_AFTER bytes, without closing the connection
+  let stalledRequests;
+  let supportsRange;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const range = supportsRange && /bytes=(\d+)-/.exec(req.headers.range || '');
+      const start = range ? Number(range[1]) : 0;
+      requests.push(start);
+      const headers = { 'content-length': file.length - start };
+      if (range) {
+        headers['content-range'] = `bytes ${start}-${file.length - 1}/${file.length}`;
+      }
+      res.writeHead(range ? 206 : 200, headers);
+      const body = file.subarray(start);
+      if (requests.length <= cutRequests) {
+        res.write(body.subarray(0, CUT_AFTER));
+        setTimeout(() => res.socket.destroy(), 50);
+        return;
+      }
+      if (requests.length <= cutRequests + stalledRequests) {
+        res.write(body.subarray(0, CUT_AFTER));
+        return;
+      }
+      res.end(body);
+    });
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    url = `http://localhost:${server.address().port}/backup`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    requests = [];
+    cutRequests = 2;
+    stalledRequests = 0;
+    supportsRange = true;
+  });
+
+  it('should resume an interrupted download where it stopped', async () => {
+    file = randomBytes(3 * CUT_AFTER);
+    const sink = createSink();
+    const progress = [];
+
+    const downloaded = await gateway.downloadBackup(url, sink, (event) => progress.push(event), {
+      size: file.length,
+      checksum: createHash('sha256').update(file).digest('hex'),
+    });
+
+    sink.getData().should.deepEqual(file);
+    downloaded.size.should.equal(file.length);
+    requests.should.have.length(3);
+    requests[0].should.equal(0);
+    requests[1].should.be.above(0);
+    progress[progress.length - 1].should.have.properties({ loaded: file.length, total: file.length });
+  });
+
+  it('should resume the download of an encrypted backup', async () => {
+    const plaintext = randomBytes(250000);
+    file = await collect(gateway.encryptBackup(Readable.from([plaintext]), 'backup-key', { chunkSize: 65536 }));
+    const sink = createSink();
+
+    await gateway.downloadBackup(url, sink, null, { backupKey: 'backup-key', size: file.length });
+
+    sink.getData().should.deepEqual(plaintext);
+    requests.should.have.length(3);
+  });
+
+  it('should resume a download which stalled', async () => {
+    file = randomBytes(3 * CUT_AFTER);
+    cutRequests = 0;
+    stalledRequests = 1;
+    const sink = createSink();
+
+    await gateway.downloadBackup(url, sink, null, { idleTimeout: 200 });
+
+    sink.getData().should.deepEqual(file);
+    requests.should.have.length(2);
+    requests[1].should.be.above(0);
+  });
+
+  it('should not retry when the backup can not be decrypted', async () => {
+    file = await collect(gateway.encryptBackup(Readable.from([randomBytes(1000)]), 'backup-key'));
+    cutRequests = 0;
+
+    await gateway
+      .downloadBackup(url, createSink(), null, { backupKey: 'wrong-key' })
+      .should.be.rejectedWith(DecryptionError, { code: 'INVALID_BACKUP_CHUNK' });
+    requests.should.have.length(1);
+  });
+
+  it('should fail when the server does not support ranges', async () => {
+    file = randomBytes(3 * CUT_AFTER);
+    supportsRange = false;
+
+    await gateway
+      .downloadBackup(url, createSink())
+      .should.be.rejectedWith(GatewayError, { code: 'RANGE_NOT_SUPPORTED' });
+  });
+
+  it('should check the size and checksum of the backup', async () => {
+    file = randomBytes(1000);
+    cutRequests = 0;
+
+    await gateway
+      .downloadBackup(url, createSink(), null, { size: 10 })
+      .should.be.rejectedWith(GatewayError, { code: 'BACKUP_SIZE_MISMATCH' });
+    await gateway
+      .downloadBackup(url, createSink(), null, { checksum: 'abcd' })
+      .should.be.rejectedWith(GatewayError, { code: 'BACKUP_CHECKSUM_MISMATCH' });
+  });
+});
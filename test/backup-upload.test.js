@@ -0,0 +1,158 @@
+const http = require('http');
+const { randomBytes } = require('crypto');
+const { Readable } = require('stream');
+const { describe, it, before, after, beforeEach } = require('mocha');
+const should = require('should');
+const { createGateway } = require('./helpers/gateway');
+
+const PART_SIZE = 1000;
+// parts announced by the server when the upload is initialized
+const PARTS_COUNT = 5;
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function sendJson(res, body) {
+  res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(body));
+}
+
+describe('backup upload', () => {
+  let server;
+  let serverUrl;
+  let gateway;
+  // number of failures of each part before it is accepted, Infinity for a part which always fails
+  let failures;
+  // data received for each part number
+  let uploaded;
+  let attempts;
+  let inFlight;
+  let maxInFlight;
+  let finalized;
+  let aborted;
+
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      const body = await readBody(req);
+      if (req.url === '/backups/multi_parts/initialize') {
+        sendJson(res, {
+          backup_id: 'backup-id',
+          file_id: 'file-id',
+          file_key: 'file-key',
+          chunk_size: PART_SIZE,
+          parts: Array.from({ length: PARTS_COUNT }, (value, i) => ({
+            part_number: i + 1,
+            signed_url: `${serverUrl}/parts/${i + 1}`,
+          })),
+        });
+        return;
+      }
+      if (req.url === '/backups/multi_parts/finalize') {
+        finalized = JSON.parse(body);
+        sendJson(res, { id: 'backup-id' });
+        return;
+      }
+      if (req.url === '/backups/multi_parts/abort') {
+        aborted = JSON.parse(body);
+        sendJson(res, {});
+        return;
+      }
+      const partNumber = Number(req.url.split('/').pop());
+      attempts[partNumber] = (attempts[partNumber] || 0) + 1;
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight -= 1;
+        if (attempts[partNumber] <= (failures[partNumber] || 0)) {
+          res.writeHead(500).end();
+          return;
+        }
+        uploaded[partNumber] = body;
+        res.writeHead(200, { etag: `"etag-${partNumber}"` }).end();
+      }, 50);
+    });
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    serverUrl = `http://localhost:${server.address().port}`;
+    gateway = createGateway(serverUrl);
+    gateway.accessToken = 'access-token';
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    failures = {};
+    uploaded = {};
+    attempts = {};
+    inFlight = 0;
+    maxInFlight = 0;
+    finalized = null;
+    aborted = null;
+  });
+
+  it('should upload the parts with a bounded concurrency and finalize the backup', async () => {
+    const file = randomBytes(4.5 * PART_SIZE);
+    const progress = [];
+
+    await gateway.uploadBackup(Readable.from([file]), {
+      size: file.length,
+      concurrency: 2,
+      onProgress: (event) => progress.push(event),
+    });
+
+    maxInFlight.should.equal(2);
+    Buffer.concat([1, 2, 3, 4, 5].map((partNumber) => uploaded[partNumber])).should.deepEqual(file);
+    finalized.should.have.properties({ backup_id: 'backup-id', file_id: 'file-id', file_key: 'file-key' });
+    finalized.parts.should.deepEqual(
+      [1, 2, 3, 4, 5].map((partNumber) => ({ PartNumber: partNumber, ETag: `etag-${partNumber}` })),
+    );
+    progress.should.have.length(5);
+    progress[4].should.have.properties({ uploadedBytes: file.length, totalBytes: file.length, totalParts: 5 });
+  });
+
+  it('should retry a failed part without uploading the others again', async () => {
+    const file = randomBytes(5 * PART_SIZE);
+    failures[2] = 1;
+
+    await gateway.uploadBackup(Readable.from([file]), { size: file.length });
+
+    attempts.should.deepEqual({ 1: 1, 2: 2, 3: 1, 4: 1, 5: 1 });
+    uploaded[2].should.deepEqual(file.subarray(PART_SIZE, 2 * PART_SIZE));
+    finalized.parts.should.have.length(5);
+  });
+
+  it('should abort the upload when a part keeps failing', async () => {
+    const file = randomBytes(5 * PART_SIZE);
+    failures[2] = Infinity;
+
+    const error = await gateway.uploadBackup(Readable.from([file]), { size: file.length, retries: 1 }).catch((e) => e);
+
+    error.response.status.should.equal(500);
+    attempts[2].should.equal(2);
+    aborted.should.have.properties({ backup_id: 'backup-id', file_id: 'file-id', file_key: 'file-key' });
+    should(finalized).be.null();
+  });
+
+  it('should abort the upload when the backup is bigger than the expected parts', async () => {
+    const file = randomBytes(6 * PART_SIZE);
+
+    await gateway
+      .uploadBackup(Readable.from([file]), { size: file.length })
+      .should.be.rejectedWith('Backup is bigger than the 5 expected parts');
+    aborted.should.have.property('backup_id', 'backup-id');
+  });
+
+  it('should abort the upload when the backup is smaller than the expected parts', async () => {
+    const file = randomBytes(3 * PART_SIZE);
+
+    await gateway
+      .uploadBackup(Readable.from([file]), { size: file.length })
+      .should.be.rejectedWith('Backup has 3 parts, 5 were expected');
+    aborted.should.have.property('backup_id', 'backup-id');
+  });
+});
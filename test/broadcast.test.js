@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { setupGateway, connectOtherUser, waitForEvent } = require('./helpers/gateway');
+
+const EVENT = { type: 'gladys-event', event: 'device.new-state', data: { value: 1 } };
+
+describe('broadcast to several users', () => {
+  let gateway;
+  let others;
+  // calls made by the instance to encrypt messages
+  let calls;
+
+  before(async () => {
+    gateway = await setupGateway();
+    others = [
+      await connectOtherUser(gateway, 'pepper@example.com'),
+      await connectOtherUser(gateway, 'happy@example.com'),
+    ];
+    // the instance learns what its users accept from their messages, the last user never sent one
+    await gateway.user.sendRequestGet('/api/v1/house');
+    await others[0].user.sendRequestGet('/api/v1/house');
+
+    const { crypto } = gateway.instance;
+    const { encryptMessage, encryptMessageForRecipients } = crypto;
+    crypto.encryptMessage = (publicKey, ...args) => {
+      calls.push({ recipients: 1 });
+      return encryptMessage(publicKey, ...args);
+    };
+    crypto.encryptMessageForRecipients = (recipients, ...args) => {
+      calls.push({ recipients: recipients.length });
+      return encryptMessageForRecipients(recipients, ...args);
+    };
+  });
+
+  after(async () => {
+    others.forEach(({ user }) => user.disconnect());
+    await gateway.close();
+  });
+
+  it('should encrypt and sign the message once for the users accepting multi-recipient envelopes', async () => {
+    calls = [];
+    const users = [gateway.user, ...others.map(({ user }) => user)];
+    const received = users.map((user) => waitForEvent(user, 'gladys-event:device.new-state'));
+
+    const reports = await gateway.instance.sendMessageAllUsers(EVENT);
+
+    reports.map(({ status }) => status).should.deepEqual(['acknowledged', 'acknowledged', 'acknowledged']);
+    calls.should.deepEqual([{ recipients: 1 }, { recipients: 2 }]);
+    (await Promise.all(received)).forEach(([data]) => data.should.deepEqual({ value: 1 }));
+  });
+});
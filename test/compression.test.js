@@ -0,0 +1,38 @@
+const { describe, it, afterEach } = require('mocha');
+const should = require('should');
+const { setupRecordingGateway, sendTwice } = require('./helpers/envelope');
+
+// big and repetitive enough to be compressed
+const PAYLOAD = { text: 'compress me '.repeat(500) };
+
+describe('compression', () => {
+  let gateway;
+  let received;
+
+  afterEach(() => gateway.close());
+
+  it('should compress messages once the instance told it can decompress them', async () => {
+    ({ gateway, received } = await setupRecordingGateway());
+
+    await sendTwice(gateway.user, PAYLOAD);
+
+    should(received[0].compression).be.undefined();
+    received[1].compression.should.be.a.String();
+  });
+
+  it('should not compress small messages', async () => {
+    ({ gateway, received } = await setupRecordingGateway());
+
+    await sendTwice(gateway.user, { text: 'small' });
+
+    should(received[1].compression).be.undefined();
+  });
+
+  it('should not compress when compression is disabled', async () => {
+    ({ gateway, received } = await setupRecordingGateway({ userOptions: { compression: false } }));
+
+    await sendTwice(gateway.user, PAYLOAD);
+
+    should(received[1].compression).be.undefined();
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+require('should');
+const { AuthenticationError } = require('../lib/errors');
+const { setupGateway, waitForEvent } = require('./helpers/gateway');
+
+const LIFECYCLE_EVENTS = ['connecting', 'connected', 'authenticated', 'disconnected', 'reconnecting'];
+
+// the connection is lost without the client or the server asking for it
+function dropConnection(gateway) {
+  gateway.socket.io.engine.close();
+}
+
+describe('connection lifecycle', () => {
+  let gateway;
+  let events;
+
+  beforeEach(async () => {
+    gateway = await setupGateway();
+    events = [];
+    LIFECYCLE_EVENTS.forEach((eventName) => gateway.user.on(eventName, () => events.push(eventName)));
+  });
+
+  afterEach(() => gateway.close());
+
+  it('should be authenticated once connected', () => {
+    gateway.user.connectionState.should.equal('authenticated');
+    gateway.user.isSocketAuthenticated().should.equal(true);
+  });
+
+  it('should reconnect and authenticate again when the connection is lost', async () => {
+    const { user } = gateway;
+    const authenticated = waitForEvent(user, 'authenticated');
+
+    dropConnection(user);
+    await authenticated;
+
+    events
+      .filter((eventName, i) => eventName !== events[i - 1])
+      .should.deepEqual(['disconnected', 'reconnecting', 'connected', 'authenticated']);
+    (await user.sendRequestGet('/api/v1/house')).should.have.property('url', '/api/v1/house');
+  });
+
+  it('should emit auth-failed when the refresh token was revoked while disconnected', async () => {
+    const { user, mock, session } = gateway;
+    const authFailed = waitForEvent(user, 'auth-failed');
+    const sessionExpired = waitForEvent(user, 'session-expired');
+
+    mock.revokeRefreshToken(session.refreshToken);
+    mock.expireAccessTokens();
+    dropConnection(user);
+
+    const [error] = await authFailed;
+    error.should.be.instanceOf(AuthenticationError);
+    error.code.should.equal('SESSION_EXPIRED');
+    await sessionExpired;
+    events.should.not.containEql('authenticated');
+    user.isSocketAuthenticated().should.equal(false);
+    user.socket.connected.should.equal(false);
+  });
+});
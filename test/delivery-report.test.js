@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const should = require('should');
+const { GatewayTimeoutError } = require('../lib/errors');
+const { setupGateway, wait } = require('./helpers/gateway');
+
+// the instance learns that a user left through clear-connected-users-list
+const PROPAGATION_DELAY = 300;
+
+const EVENT = { type: 'gladys-event', event: 'device.new-state', data: { value: 1 } };
+
+describe('delivery reports', () => {
+  let gateway;
+  let userId;
+
+  afterEach(() => gateway.close());
+
+  async function disconnectUser() {
+    gateway.user.disconnect();
+    await wait(PROPAGATION_DELAY);
+  }
+
+  describe('without outbound queue', () => {
+    beforeEach(async () => {
+      gateway = await setupGateway();
+      [userId] = Object.keys(gateway.instance.keysDictionnary);
+    });
+
+    it('should tell the server acknowledged the message', async () => {
+      const [report] = await gateway.instance.sendMessageAllUsers(EVENT);
+
+      report.should.have.properties({ user_id: userId, status: 'acknowledged', error: null });
+    });
+
+    it('should skip the users who are not connected', async () => {
+      await disconnectUser();
+
+      const [report] = await gateway.instance.sendMessageAllUsers(EVENT);
+
+      report.should.have.properties({ user_id: userId, status: 'skipped' });
+    });
+
+    it('should report the message the server could not deliver as failed', async () => {
+      const { instance } = gateway;
+      await disconnectUser();
+      // the instance didn't learn yet the user left
+      instance.keysDictionnary[userId].connected = true;
+
+      const [report] = await instance.sendMessageAllUsers(EVENT);
+
+      report.status.should.equal('failed');
+      report.error.should.have.properties({ status: 404, error_code: 'USER_NOT_CONNECTED' });
+    });
+
+    it('should report a message which can not be encrypted as failed, without throwing', async () => {
+      const { instance } = gateway;
+      instance.keysDictionnary[userId].rsaPublicKey = null;
+
+      const [report] = await instance.sendMessageAllUsers(EVENT);
+
+      report.status.should.equal('failed');
+      should.exist(report.error);
+    });
+
+    it('should report a message without acknowledgment as emitted', async () => {
+      const { instance } = gateway;
+      instance.emitWithAck = (event, payload, timeout, callback) => callback(new GatewayTimeoutError(timeout));
+
+      const [report] = await instance.sendMessageAllUsers(EVENT);
+
+      report.status.should.equal('emitted');
+      report.error.should.be.instanceOf(GatewayTimeoutError);
+    });
+
+    it('should report a message which could not be emitted as encrypted', async () => {
+      const { instance } = gateway;
+      instance.emitWithAck = () => {
+        throw new Error('socket closed');
+      };
+
+      const [report] = await instance.sendMessageAllUsers(EVENT);
+
+      report.status.should.equal('encrypted');
+      report.error.message.should.equal('socket closed');
+    });
+  });
+
+  describe('with outbound queue', () => {
+    beforeEach(async () => {
+      gateway = await setupGateway({ instanceOptions: { outboundQueue: true } });
+      [userId] = Object.keys(gateway.instance.keysDictionnary);
+    });
+
+    it('should queue the messages of the users who are not connected', async () => {
+      await disconnectUser();
+
+      const [report] = await gateway.instance.sendMessageAllUsers(EVENT);
+
+      report.should.have.properties({ user_id: userId, status: 'queued' });
+      gateway.instance.outboundQueue.size(userId).should.equal(1);
+    });
+  });
+});
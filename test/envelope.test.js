@@ -0,0 +1,67 @@
+const { describe, it, afterEach } = require('mocha');
+const should = require('should');
+const { encodeEnvelope, decodeEnvelope, JSON_FORMAT } = require('../lib/envelope');
+const { setupRecordingGateway, sendTwice } = require('./helpers/envelope');
+
+const PAYLOAD = { text: 'binary '.repeat(500) };
+
+describe('envelope', () => {
+  it('should decode the binary envelope it encoded', () => {
+    const parts = {
+      iv: Buffer.from('000102030405060708090a0b', 'hex'),
+      wrappedSymetricKey: Buffer.alloc(256, 1),
+      signature: Buffer.alloc(64, 2),
+      encryptedData: Buffer.alloc(1000, 3),
+    };
+
+    const decoded = decodeEnvelope(
+      encodeEnvelope({ ...parts, isNewEncoder: true, compression: 'deflate', acceptCompression: ['deflate'] }),
+    );
+
+    Buffer.from(decoded.iv).should.deepEqual(parts.iv);
+    Buffer.from(decoded.encryptedData).should.deepEqual(parts.encryptedData);
+    decoded.should.have.properties({
+      isNewEncoder: true,
+      multiRecipient: false,
+      acceptMultiRecipient: true,
+      acceptFragments: true,
+      compression: 'deflate',
+    });
+    decoded.acceptCompression.should.deepEqual(['deflate']);
+  });
+
+  it('should reject a binary envelope with a wrong length', () => {
+    const envelope = encodeEnvelope({
+      iv: Buffer.alloc(12),
+      wrappedSymetricKey: Buffer.alloc(256),
+      signature: Buffer.alloc(64),
+      encryptedData: Buffer.alloc(10),
+    });
+
+    should(() => decodeEnvelope(envelope.subarray(0, envelope.length - 1))).throw('INVALID_ENVELOPE');
+  });
+
+  describe('negotiation', () => {
+    let gateway;
+    let received;
+
+    afterEach(() => gateway.close());
+
+    it('should send binary envelopes once the instance told it supports them', async () => {
+      ({ gateway, received } = await setupRecordingGateway());
+
+      await sendTwice(gateway.user, PAYLOAD);
+
+      received[0].binary.should.equal(false);
+      received[1].binary.should.equal(true);
+    });
+
+    it('should keep sending JSON envelopes when the server only relays JSON', async () => {
+      ({ gateway, received } = await setupRecordingGateway({ mockOptions: { envelopeFormats: [JSON_FORMAT] } }));
+
+      await sendTwice(gateway.user, PAYLOAD);
+
+      received[1].binary.should.equal(false);
+    });
+  });
+});
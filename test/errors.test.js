@@ -0,0 +1,130 @@
+const { webcrypto } = require('crypto');
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const GladysGatewayJs = require('..');
+const Crypto = require('../lib/crypto');
+const errors = require('../lib/errors');
+const { EMAIL, createGateway, setupGateway } = require('./helpers/gateway');
+
+const {
+  GatewayError,
+  AuthenticationError,
+  TwoFactorRequiredError,
+  NotConnectedError,
+  InstanceNotFoundError,
+  UserNotFoundError,
+  DecryptionError,
+  SignatureError,
+  RemoteInstanceError,
+  HttpError,
+} = errors;
+
+const crypto = Crypto({ cryptoLib: webcrypto });
+
+describe('errors', () => {
+  it('should export the error classes on the client', () => {
+    Object.keys(errors).forEach((name) => {
+      GladysGatewayJs[name].should.equal(errors[name]);
+      if (name !== 'GatewayError') {
+        errors[name].prototype.should.be.instanceOf(GatewayError);
+      }
+    });
+  });
+
+  it('should reject messages with a wrong signature', async () => {
+    const sender = await crypto.generateKeyPair();
+    const receiver = await crypto.generateKeyPair();
+    const message = await crypto.encryptMessage(receiver.rsaKeys.publicKey, sender.ecdsaKeys.privateKey, 'hello');
+
+    const error = await crypto
+      .decryptMessage(receiver.rsaKeys.privateKey, receiver.ecdsaKeys.publicKey, message)
+      .catch((e) => e);
+
+    error.should.be.instanceOf(SignatureError);
+    error.should.be.instanceOf(DecryptionError);
+    error.code.should.equal('INVALID_SIGNATURE');
+  });
+
+  it('should tell the client is not connected', async () => {
+    const error = await createGateway('http://localhost')
+      .sendRequestGet('/api/v1/house')
+      .catch((e) => e);
+
+    error.should.be.instanceOf(NotConnectedError);
+    error.code.should.equal('NOT_CONNECTED');
+  });
+
+  describe('with the gateway', () => {
+    let gateway;
+    let onMessage;
+
+    before(async () => {
+      gateway = await setupGateway({ onMessage: (...args) => onMessage(...args) });
+    });
+
+    after(() => gateway.close());
+
+    it('should reject a wrong password with an AuthenticationError', async () => {
+      const error = await createGateway(gateway.serverUrl)
+        .login(EMAIL, 'wrong-password')
+        .catch((e) => e);
+
+      error.should.be.instanceOf(AuthenticationError);
+      error.code.should.equal('AUTHENTICATION_FAILED');
+      error.status.should.equal(403);
+    });
+
+    it('should ask for the two factor code', async () => {
+      const error = await gateway.user.loginTwoFactor('two-factor-token', 'password', '').catch((e) => e);
+
+      error.should.be.instanceOf(TwoFactorRequiredError);
+      error.code.should.equal('TWO_FACTOR_REQUIRED');
+      error.twoFactorToken.should.equal('two-factor-token');
+    });
+
+    it('should give the status and error code of failed API calls', async () => {
+      const error = await gateway.user.getDevices().catch((e) => e);
+
+      error.should.be.instanceOf(HttpError);
+      error.status.should.equal(404);
+      error.code.should.equal('NOT_FOUND');
+      should.exist(error.cause);
+    });
+
+    it('should give the error sent by the instance', async () => {
+      onMessage = (data, meta, reply) => reply({ status: 404, error_code: 'NOT_FOUND', error_message: 'No house' });
+
+      const error = await gateway.user.sendRequestGet('/api/v1/house/unknown').catch((e) => e);
+
+      error.should.be.instanceOf(RemoteInstanceError);
+      error.code.should.equal('NOT_FOUND');
+      error.status.should.equal(404);
+      error.message.should.equal('No house');
+    });
+
+    it('should tell the instance does not exist', async () => {
+      const error = await gateway.user.sendRequestGetToInstance('unknown-instance', '/api/v1/house').catch((e) => e);
+
+      error.should.be.instanceOf(InstanceNotFoundError);
+      error.code.should.equal('INSTANCE_NOT_FOUND');
+    });
+
+    it('should tell the user does not exist', async () => {
+      const error = await gateway.instance.sendMessageUser('unknown-user', { type: 'gladys-event' }).catch((e) => e);
+
+      error.should.be.instanceOf(UserNotFoundError);
+      error.code.should.equal('USER_NOT_FOUND');
+      error.userId.should.equal('unknown-user');
+    });
+
+    it('should answer a message from an unknown user with USER_NOT_FOUND', async () => {
+      const [onSocketMessage] = gateway.instance.socket.listeners('message');
+
+      const response = await new Promise((resolve) => {
+        onSocketMessage({ sender_id: 'unknown-user', encryptedMessage: {} }, resolve);
+      });
+
+      response.should.deepEqual({ status: 404, error_code: 'USER_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { ReplayedMessageError } = require('../lib/errors');
+const { createGateway, setupGateway, waitForEvent } = require('./helpers/gateway');
+
+describe('events', () => {
+  describe('wildcards', () => {
+    it('should give the event name to wildcard listeners', () => {
+      const gateway = createGateway('http://localhost');
+      const received = [];
+      gateway.on('gladys-event:device.*', (...args) => received.push(args));
+
+      gateway.emit('gladys-event:device.new-state', { value: 1 }).should.equal(true);
+      gateway.emit('gladys-event:house.created', {}).should.equal(false);
+
+      received.should.deepEqual([[{ value: 1 }, 'gladys-event:device.new-state']]);
+    });
+
+    it('should call a once wildcard listener only once', () => {
+      const gateway = createGateway('http://localhost');
+      let calls = 0;
+      gateway.once('gladys-event:*', () => {
+        calls += 1;
+      });
+
+      gateway.emit('gladys-event:device.new-state');
+      gateway.emit('gladys-event:device.new-state');
+
+      calls.should.equal(1);
+    });
+
+    it('should remove a wildcard listener with off and with the subscription', () => {
+      const gateway = createGateway('http://localhost');
+      let calls = 0;
+      const listener = () => {
+        calls += 1;
+      };
+      gateway.on('gladys-event:*', listener);
+      const unsubscribe = gateway.subscribe('gladys-event:device.*', listener);
+
+      gateway.off('gladys-event:*', listener);
+      unsubscribe();
+      gateway.emit('gladys-event:device.new-state');
+
+      calls.should.equal(0);
+    });
+
+    it('should count the wildcard listeners', () => {
+      const gateway = createGateway('http://localhost');
+      gateway.on('gladys-event:device.new-state', () => null);
+      gateway.on('gladys-event:device.*', () => null);
+      gateway.on('gladys-event:*', () => null);
+
+      gateway.listenerCount('gladys-event:device.new-state').should.equal(3);
+      gateway.listenerCount('gladys-event:house.created').should.equal(1);
+      gateway.listenerCount('gladys-event:*').should.equal(1);
+    });
+
+    it('should remove all the listeners of a pattern, or all of them', () => {
+      const gateway = createGateway('http://localhost');
+      gateway.on('gladys-event:device.new-state', () => null);
+      gateway.on('gladys-event:device.*', () => null);
+      gateway.on('gladys-event:*', () => null);
+
+      gateway.removeAllListeners('gladys-event:device.*');
+      gateway.listenerCount('gladys-event:device.new-state').should.equal(2);
+
+      gateway.removeAllListeners();
+      gateway.listenerCount('gladys-event:device.new-state').should.equal(0);
+      gateway.emit('gladys-event:device.new-state').should.equal(false);
+    });
+  });
+
+  describe('through the gateway', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('should emit the events sent by the instance to wildcard listeners', async () => {
+      const received = waitForEvent(gateway.user, 'gladys-event:device.*');
+
+      await gateway.instance.sendMessageAllUsers({
+        type: 'gladys-event',
+        event: 'device.new-state',
+        data: { value: 1 },
+      });
+
+      const [data, message, meta, eventName] = await received;
+      data.should.deepEqual({ value: 1 });
+      message.should.have.property('event', 'device.new-state');
+      meta.should.have.property('instance_id', gateway.instanceId);
+      eventName.should.equal('gladys-event:device.new-state');
+    });
+
+    it('should emit message-error when a message is received twice', async () => {
+      const { user, instance } = gateway;
+      const [onSocketMessage] = user.socket.listeners('message');
+      const relayed = waitForEvent(user.socket, 'message');
+      await instance.sendMessageAllUsers({ type: 'gladys-event', event: 'device.new-state', data: { value: 2 } });
+      const [message] = await relayed;
+      const received = waitForEvent(user, 'message-error');
+
+      onSocketMessage(message);
+
+      const [error, failedMessage] = await received;
+      error.should.be.instanceOf(ReplayedMessageError);
+      error.code.should.equal('REPLAYED_MESSAGE');
+      failedMessage.should.equal(message);
+    });
+  });
+});
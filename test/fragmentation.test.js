@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const { splitMessage, createReassembler } = require('../lib/fragmentation');
+const { setupGateway } = require('./helpers/gateway');
+
+const FRAGMENT_SIZE = 1000;
+
+describe('fragmentation', () => {
+  it('should not split a message smaller than the fragment size', () => {
+    should(splitMessage({ text: 'hello' }, 'id', { fragmentSize: FRAGMENT_SIZE })).be.null();
+  });
+
+  it('should measure fragments in UTF-8 bytes', () => {
+    // shorter than the fragment size as a string, 1600 bytes once encoded
+    const data = { text: '🙂'.repeat(400) };
+
+    const fragments = splitMessage(data, 'id', { fragmentSize: FRAGMENT_SIZE });
+
+    fragments.should.have.length(2);
+    fragments.forEach(({ fragment }) => {
+      Buffer.byteLength(fragment.chunk).should.be.belowOrEqual(FRAGMENT_SIZE);
+      fragment.size.should.equal(Buffer.byteLength(JSON.stringify(data)));
+    });
+  });
+
+  it('should reassemble fragments received in any order', () => {
+    const data = { text: 'é🙂a'.repeat(1000) };
+    const fragments = splitMessage(data, 'id', { fragmentSize: FRAGMENT_SIZE });
+    const reassembler = createReassembler();
+
+    const results = fragments.reverse().map(({ fragment }) => reassembler.push('id', fragment));
+
+    results.slice(0, -1).forEach((result) => should(result).be.null());
+    results[results.length - 1].should.deepEqual(data);
+  });
+
+  it('should reject fragments bigger than announced', () => {
+    const fragments = splitMessage({ text: 'a'.repeat(3000) }, 'id', { fragmentSize: FRAGMENT_SIZE });
+    const reassembler = createReassembler();
+    const { fragment } = fragments[0];
+
+    should(() => reassembler.push('id', { ...fragment, size: 10 })).throw('PAYLOAD_TOO_LARGE');
+  });
+
+  describe('through the gateway', () => {
+    const options = { fragmentation: { fragmentSize: FRAGMENT_SIZE } };
+    let gateway;
+    let emitted;
+
+    before(async () => {
+      gateway = await setupGateway({
+        userOptions: options,
+        instanceOptions: options,
+        onMessage: (data, meta, reply) => reply({ data: data.options.data, big: 'x🙂'.repeat(3000) }),
+      });
+      const { user } = gateway;
+      const { emitMessageGladys } = user;
+      user.emitMessageGladys = (...args) => {
+        emitted += 1;
+        return emitMessageGladys(...args);
+      };
+    });
+
+    after(() => gateway.close());
+
+    it('should fragment big messages once the instance told it can reassemble them', async () => {
+      const payload = { text: 'é🙂'.repeat(2000) };
+
+      // the capabilities of the instance come with its first answer
+      emitted = 0;
+      const first = await gateway.user.sendRequestPost('/api/v1/first', payload);
+      first.data.should.deepEqual(payload);
+      first.big.should.equal('x🙂'.repeat(3000));
+      emitted.should.equal(1);
+
+      emitted = 0;
+      const second = await gateway.user.sendRequestPost('/api/v1/second', payload);
+      second.data.should.deepEqual(payload);
+      emitted.should.be.above(1);
+    });
+
+    it('should send big messages in one piece to instances which did not tell they can reassemble them', async () => {
+      const { user, instanceId } = gateway;
+      const { rememberPeerCapabilities } = user;
+      // an instance running an old version doesn't advertise fragments
+      user.rememberPeerCapabilities = (peerId, envelope) => {
+        rememberPeerCapabilities(peerId, envelope);
+        user.peersCapabilities[peerId].acceptFragments = false;
+      };
+      user.peersCapabilities[instanceId].acceptFragments = false;
+      const payload = { text: 'é🙂'.repeat(2000) };
+
+      emitted = 0;
+      const response = await user.sendRequestPost('/api/v1/old', payload);
+
+      response.data.should.deepEqual(payload);
+      emitted.should.equal(1);
+      user.rememberPeerCapabilities = rememberPeerCapabilities;
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { isBinaryEnvelope, decodeEnvelope } = require('../../lib/envelope');
+const { setupGateway } = require('./gateway');
+
+// the format of an envelope received by the instance, and the compression of its payload
+function describeEnvelope(envelope) {
+  if (isBinaryEnvelope(envelope)) {
+    return { binary: true, compression: decodeEnvelope(envelope).compression };
+  }
+  return { binary: false, compression: envelope.compression };
+}
+
+// the instance keeps the description of every envelope it receives, and answers with the data of the request
+async function setupRecordingGateway(options = {}) {
+  const received = [];
+  const gateway = await setupGateway({
+    ...options,
+    onMessage: (data, meta, reply) => {
+      received.push(describeEnvelope(meta.encryptedMessage));
+      reply({ data: data.options.data });
+    },
+  });
+  return { gateway, received };
+}
+
+// the capabilities of the instance come with its first answer, only the second request can use them
+async function sendTwice(user, payload) {
+  (await user.sendRequestPost('/api/v1/first', payload)).data.should.deepEqual(payload);
+  (await user.sendRequestPost('/api/v1/second', payload)).data.should.deepEqual(payload);
+}
+
+module.exports = {
+  describeEnvelope,
+  setupRecordingGateway,
+  sendTwice,
+};
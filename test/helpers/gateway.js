@@ -0,0 +1,117 @@
+const { webcrypto } = require('crypto');
+const GladysGatewayJs = require('../..');
+const { createMockGateway } = require('../../lib/mock-server');
+
+const EMAIL = 'tony@example.com';
+const PASSWORD = 'secret-password';
+const TWO_FACTOR_CODE = '123456';
+
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function createGateway(serverUrl, options = {}) {
+  return new GladysGatewayJs({ cryptoLib: webcrypto, serverUrl, logger, ...options });
+}
+
+async function loginUser(gateway, password = PASSWORD, email = EMAIL) {
+  const { two_factor_token: twoFactorToken } = await gateway.login(email, password);
+  return gateway.loginTwoFactor(twoFactorToken, password, TWO_FACTOR_CODE);
+}
+
+function wait(delay) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+}
+
+async function waitUntil(condition, { timeout = 5000, interval = 20 } = {}) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Condition not met in time');
+    }
+    await wait(interval); // eslint-disable-line no-await-in-loop
+  }
+}
+
+// resolves with the arguments of the next event
+function waitForEvent(emitter, eventName) {
+  return new Promise((resolve) => {
+    emitter.once(eventName, (...args) => resolve(args));
+  });
+}
+
+// the instance answers with what it received, unless the test gives its own callback
+function echo(data, meta, reply) {
+  reply({ url: data.options.url, data: data.options.data });
+}
+
+// starts a mock gateway, signs up a user and creates its instance, then connects both of them
+async function setupGateway({ userOptions, instanceOptions, mockOptions = {}, onMessage = echo } = {}) {
+  const mock = createMockGateway({ twoFactorCode: TWO_FACTOR_CODE, ...mockOptions });
+  const serverUrl = await mock.listen();
+
+  const user = createGateway(serverUrl, userOptions);
+  await user.signup('Tony', EMAIL, PASSWORD, 'en');
+  const session = await loginUser(user);
+  const { instance: createdInstance, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk } = await user.createInstance('Home');
+
+  const instance = createGateway(serverUrl, instanceOptions);
+  await instance.instanceConnect(createdInstance.refresh_token, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk, onMessage);
+  await user.userConnect(session.refreshToken, session.serializedKeys);
+  // the instance learns the user is connected through clear-connected-users-list
+  await waitUntil(() => Object.values(instance.keysDictionnary).some((instanceUser) => instanceUser.connected));
+
+  return {
+    mock,
+    serverUrl,
+    user,
+    instance,
+    session,
+    instanceId: createdInstance.id,
+    close: async () => {
+      user.disconnect();
+      instance.disconnect();
+      await mock.close();
+    },
+  };
+}
+
+// signs up another user, gives it access to the instance, then connects it
+async function connectOtherUser({ mock, serverUrl, instance, instanceId }, email, userOptions) {
+  const user = createGateway(serverUrl, userOptions);
+  await user.signup('Pepper', email, PASSWORD, 'en');
+  const userId = Array.from(mock.users.values()).find((serverUser) => serverUser.email === email).id;
+  mock.addUserToInstance(userId, instanceId);
+  const session = await loginUser(user, PASSWORD, email);
+  await user.userConnect(session.refreshToken, session.serializedKeys);
+  await waitUntil(() => instance.keysDictionnary[userId] && instance.keysDictionnary[userId].connected);
+  return { user, userId, session };
+}
+
+// creates another instance of the user, then connects it
+async function connectOtherInstance({ serverUrl }, name, { instanceOptions, onMessage = echo } = {}) {
+  const owner = createGateway(serverUrl);
+  await loginUser(owner);
+  const { instance: createdInstance, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk } = await owner.createInstance(name);
+  const instance = createGateway(serverUrl, instanceOptions);
+  await instance.instanceConnect(createdInstance.refresh_token, rsaPrivateKeyJwk, ecdsaPrivateKeyJwk, onMessage);
+  return { instance, instanceId: createdInstance.id };
+}
+
+module.exports = {
+  EMAIL,
+  PASSWORD,
+  logger,
+  createGateway,
+  loginUser,
+  setupGateway,
+  connectOtherUser,
+  connectOtherInstance,
+  wait,
+  waitForEvent,
+};
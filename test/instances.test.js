@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { setupGateway, connectOtherInstance, waitForEvent } = require('./helpers/gateway');
+
+const EVENT = { type: 'gladys-event', event: 'device.new-state', data: { value: 1 } };
+
+// the second instance tells who answered, and what it received
+function answerFromOffice(data, meta, reply) {
+  reply({ instance: 'Office', method: data.options.method, url: data.options.url, data: data.options.data });
+}
+
+describe('several instances', () => {
+  let gateway;
+  let office;
+
+  before(async () => {
+    gateway = await setupGateway();
+    office = await connectOtherInstance(gateway, 'Office', { onMessage: answerFromOffice });
+  });
+
+  after(async () => {
+    office.instance.disconnect();
+    await gateway.close();
+  });
+
+  describe('listInstances', () => {
+    it('should list the instances of the user and cache their keys', async () => {
+      const instances = await gateway.user.listInstances();
+
+      instances
+        .map(({ name, primary_instance: primary }) => ({ name, primary }))
+        .should.deepEqual([
+          { name: 'Home', primary: true },
+          { name: 'Office', primary: false },
+        ]);
+      gateway.user.instancesKeys.should.have.keys(gateway.instanceId, office.instanceId);
+    });
+
+    it('should import the keys of an instance only once', async () => {
+      const { user } = gateway;
+      await user.listInstances();
+      const { rsaPublicKey, ecdsaPublicKey } = user.instancesKeys[office.instanceId];
+
+      await user.listInstances();
+
+      user.instancesKeys[office.instanceId].rsaPublicKey.should.equal(rsaPublicKey);
+      user.instancesKeys[office.instanceId].ecdsaPublicKey.should.equal(ecdsaPublicKey);
+    });
+
+    it('should import the keys of an instance again when they change', async () => {
+      const { user, mock } = gateway;
+      await user.listInstances();
+      const { rsaPublicKey } = user.instancesKeys[office.instanceId];
+      const serverInstance = mock.instances.get(office.instanceId);
+      const { rsa_public_key: rsaPublicKeyRaw, ecdsa_public_key: ecdsaPublicKeyRaw } = serverInstance;
+      const home = mock.instances.get(gateway.instanceId);
+
+      try {
+        serverInstance.rsa_public_key = home.rsa_public_key;
+        serverInstance.ecdsa_public_key = home.ecdsa_public_key;
+        await user.listInstances();
+
+        user.instancesKeys[office.instanceId].rsaPublicKey.should.not.equal(rsaPublicKey);
+        user.instancesKeys[office.instanceId].keyChanged.should.be.ok();
+      } finally {
+        serverInstance.rsa_public_key = rsaPublicKeyRaw;
+        serverInstance.ecdsa_public_key = ecdsaPublicKeyRaw;
+        await user.listInstances();
+      }
+      (user.instancesKeys[office.instanceId].keyChanged === null).should.equal(true);
+    });
+  });
+
+  describe('sendRequest*ToInstance', () => {
+    it('should send the requests to the given instance', async () => {
+      const { user } = gateway;
+      const { instanceId } = office;
+
+      (await user.sendRequestGetToInstance(instanceId, '/api/v1/house')).should.deepEqual({
+        instance: 'Office',
+        method: 'GET',
+        url: '/api/v1/house',
+      });
+      (await user.sendRequestPostToInstance(instanceId, '/api/v1/house', { name: 'Office' })).should.deepEqual({
+        instance: 'Office',
+        method: 'POST',
+        url: '/api/v1/house',
+        data: { name: 'Office' },
+      });
+      (await user.sendRequestPatchToInstance(instanceId, '/api/v1/house/office', { name: 'Work' })).should.deepEqual({
+        instance: 'Office',
+        method: 'PATCH',
+        url: '/api/v1/house/office',
+        data: { name: 'Work' },
+      });
+      (await user.sendRequestDeleteToInstance(instanceId, '/api/v1/house/office')).should.deepEqual({
+        instance: 'Office',
+        method: 'DELETE',
+        url: '/api/v1/house/office',
+      });
+    });
+
+    it('should keep sending the other requests to the primary instance', async () => {
+      (await gateway.user.sendRequestGet('/api/v1/house')).should.deepEqual({ url: '/api/v1/house' });
+    });
+
+    it('should fetch the keys of an instance which is not cached yet', async () => {
+      const { user } = gateway;
+      delete user.instancesKeys[office.instanceId];
+
+      (await user.sendRequestGetToInstance(office.instanceId, '/api/v1/house')).should.have.property(
+        'instance',
+        'Office',
+      );
+      user.instancesKeys.should.have.property(office.instanceId);
+    });
+  });
+
+  describe('meta.instance_id', () => {
+    it('should tell which instance sent a message', async () => {
+      const received = waitForEvent(gateway.user, 'gladys-event:device.new-state');
+
+      await office.instance.sendMessageAllUsers(EVENT);
+
+      const [data, , meta] = await received;
+      data.should.deepEqual({ value: 1 });
+      meta.should.deepEqual({ instance_id: office.instanceId });
+    });
+
+    it('should give the id of the primary instance for its messages', async () => {
+      const received = waitForEvent(gateway.user, 'gladys-event:device.new-state');
+
+      await gateway.instance.sendMessageAllUsers(EVENT);
+
+      const [, , meta] = await received;
+      meta.should.deepEqual({ instance_id: gateway.instanceId });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const { createMemoryKeyPinStore, isSamePin } = require('../lib/key-pinning');
+const { GatewayError } = require('../lib/errors');
+const { createGateway, setupGateway } = require('./helpers/gateway');
+
+// a persistent store, asynchronous like most of them
+function createRecordingStore(pins = {}) {
+  const store = {
+    pins: { ...pins },
+    sets: [],
+    get: async (instanceId) => store.pins[instanceId] || null,
+    set: async (instanceId, pin) => {
+      store.sets.push(instanceId);
+      store.pins[instanceId] = pin;
+    },
+  };
+  return store;
+}
+
+describe('instance key pinning', () => {
+  it('should compare the fingerprints of both keys', () => {
+    const pin = { rsaPublicKeyFingerprint: 'rsa', ecdsaPublicKeyFingerprint: 'ecdsa', ecdsaPublicKey: '{}' };
+
+    isSamePin(pin, { rsaPublicKeyFingerprint: 'rsa', ecdsaPublicKeyFingerprint: 'ecdsa' }).should.equal(true);
+    isSamePin(pin, { rsaPublicKeyFingerprint: 'rsa', ecdsaPublicKeyFingerprint: 'other' }).should.equal(false);
+    isSamePin(pin, { rsaPublicKeyFingerprint: 'other', ecdsaPublicKeyFingerprint: 'ecdsa' }).should.equal(false);
+  });
+
+  it('should return null for an instance never pinned', () => {
+    should(createMemoryKeyPinStore().get('instance')).be.null();
+  });
+
+  describe('through the gateway', () => {
+    let gateway;
+    let store;
+
+    before(async () => {
+      store = createRecordingStore();
+      gateway = await setupGateway({ userOptions: { keyPinStore: store } });
+    });
+
+    after(() => gateway.close());
+
+    // a client opened with the pins of the store
+    async function connectClient(keyPinStore) {
+      const client = createGateway(gateway.serverUrl, { keyPinStore });
+      const keyChanges = [];
+      client.on('instance-key-changed', (keyChanged) => keyChanges.push(keyChanged));
+      await client.userConnect(gateway.session.refreshToken, gateway.session.serializedKeys);
+      return { client, keyChanges };
+    }
+
+    it('should pin the keys of the instance the first time it is seen', async () => {
+      const { user, mock, instanceId } = gateway;
+      const serverInstance = mock.instances.get(instanceId);
+
+      const pin = store.pins[instanceId];
+      pin.should.have.properties({
+        rsaPublicKeyFingerprint: await user.crypto.generateFingerprint(serverInstance.rsa_public_key),
+        ecdsaPublicKeyFingerprint: await user.crypto.generateFingerprint(serverInstance.ecdsa_public_key),
+        ecdsaPublicKey: serverInstance.ecdsa_public_key,
+      });
+    });
+
+    it('should keep the pin when the keys did not change', async () => {
+      const sets = store.sets.length;
+
+      const { client, keyChanges } = await connectClient(store);
+
+      try {
+        (await client.sendRequestGet('/api/v1/house')).should.have.property('url', '/api/v1/house');
+        keyChanges.should.be.empty();
+        store.sets.should.have.length(sets);
+      } finally {
+        client.disconnect();
+      }
+    });
+
+    describe('when the pinned keys are not the ones of the instance', () => {
+      let client;
+      let keyChanges;
+      let otherStore;
+
+      before(async () => {
+        const { instanceId } = gateway;
+        otherStore = createRecordingStore({
+          [instanceId]: { ...store.pins[instanceId], rsaPublicKeyFingerprint: 'another-fingerprint' },
+        });
+        ({ client, keyChanges } = await connectClient(otherStore));
+      });
+
+      after(() => client.disconnect());
+
+      it('should tell the user and block the requests', async () => {
+        keyChanges.should.have.length(1);
+        keyChanges[0].should.have.property('instanceId', gateway.instanceId);
+        keyChanges[0].oldFingerprints.rsaPublicKeyFingerprint.should.equal('another-fingerprint');
+        keyChanges[0].newFingerprints.should.deepEqual({
+          rsaPublicKeyFingerprint: store.pins[gateway.instanceId].rsaPublicKeyFingerprint,
+          ecdsaPublicKeyFingerprint: store.pins[gateway.instanceId].ecdsaPublicKeyFingerprint,
+        });
+
+        const error = await client.sendRequestGet('/api/v1/house').catch((e) => e);
+        error.should.be.instanceOf(GatewayError);
+        error.code.should.equal('INSTANCE_KEY_CHANGED');
+      });
+
+      it('should pin the new keys once the user trusts them', async () => {
+        await client.trustInstanceKeys();
+
+        should(client.instanceKeyChanged).be.null();
+        otherStore.pins[gateway.instanceId].should.deepEqual(store.pins[gateway.instanceId]);
+        (await client.sendRequestGet('/api/v1/house')).should.have.property('url', '/api/v1/house');
+      });
+
+      it('should do nothing when trusting keys which did not change', async () => {
+        const sets = otherStore.sets.length;
+
+        await client.trustInstanceKeys(gateway.instanceId);
+
+        otherStore.sets.should.have.length(sets);
+      });
+    });
+  });
+});
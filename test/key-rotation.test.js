@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const should = require('should');
+const { GatewayError } = require('../lib/errors');
+const { createGateway, setupGateway, wait } = require('./helpers/gateway');
+
+// the user gets the rotation through the socket, after the instance updated its keys on the server
+const PROPAGATION_DELAY = 300;
+
+describe('instance key rotation', () => {
+  let gateway;
+
+  beforeEach(async () => {
+    gateway = await setupGateway();
+  });
+
+  afterEach(() => gateway.close());
+
+  it('should update the instance keys on the server', async () => {
+    const { instance, mock, instanceId } = gateway;
+
+    const rotated = await instance.rotateInstanceKeys();
+
+    const serverInstance = mock.instances.get(instanceId);
+    serverInstance.rsa_public_key.should.equal(JSON.stringify(rotated.rsaPublicKeyJwk));
+    serverInstance.ecdsa_public_key.should.equal(JSON.stringify(rotated.ecdsaPublicKeyJwk));
+  });
+
+  it('should let pinned users talk to the instance with its new keys', async () => {
+    const { user, instance, instanceId } = gateway;
+    const keyChanges = [];
+    user.on('instance-key-changed', (keyChanged) => keyChanges.push(keyChanged));
+    (await user.sendRequestGet('/api/v1/before')).should.have.property('url', '/api/v1/before');
+
+    const rotated = await instance.rotateInstanceKeys();
+    await wait(PROPAGATION_DELAY);
+
+    const pinned = await user.keyPinStore.get(instanceId);
+    pinned.rsaPublicKeyFingerprint.should.equal(
+      await user.crypto.generateFingerprint(JSON.stringify(rotated.rsaPublicKeyJwk)),
+    );
+    keyChanges.should.be.empty();
+    should(user.instanceKeyChanged).be.null();
+    (await user.sendRequestGet('/api/v1/after')).should.have.property('url', '/api/v1/after');
+  });
+
+  it('should trust a rotation which happened while the user was offline', async () => {
+    const { user, instance, serverUrl, session } = gateway;
+    user.disconnect();
+    await instance.rotateInstanceKeys();
+
+    // the app is opened again, with the keys pinned before
+    const client = createGateway(serverUrl, { keyPinStore: user.keyPinStore });
+    const keyChanges = [];
+    client.on('instance-key-changed', (keyChanged) => keyChanges.push(keyChanged));
+    await client.userConnect(session.refreshToken, session.serializedKeys);
+
+    try {
+      (await client.sendRequestGet('/api/v1/after')).should.have.property('url', '/api/v1/after');
+      keyChanges.should.be.empty();
+    } finally {
+      client.disconnect();
+    }
+  });
+
+  describe('when the keys change without the instance', () => {
+    let keyChanges;
+
+    beforeEach(() => {
+      keyChanges = [];
+      gateway.user.on('instance-key-changed', (keyChanged) => keyChanges.push(keyChanged));
+    });
+
+    // other keys are published on the server, with a rotation signed by signingKey
+    async function publishOtherKeys(signingKey) {
+      const { user, mock, instanceId } = gateway;
+      const otherKeys = await user.crypto.generateKeyPair();
+      const serverInstance = mock.instances.get(instanceId);
+      serverInstance.rsa_public_key = JSON.stringify(otherKeys.rsaPublicKeyJwk);
+      serverInstance.ecdsa_public_key = JSON.stringify(otherKeys.ecdsaPublicKeyJwk);
+      if (signingKey) {
+        const signedData = [
+          await user.crypto.generateFingerprint(serverInstance.rsa_public_key),
+          await user.crypto.generateFingerprint(serverInstance.ecdsa_public_key),
+        ];
+        serverInstance.key_rotation = {
+          rsa_public_key_fingerprint: signedData[0],
+          ecdsa_public_key_fingerprint: signedData[1],
+          signature: await user.crypto.signData(signingKey(otherKeys), signedData),
+        };
+      }
+    }
+
+    async function shouldBeBlocked() {
+      const { user, instanceId } = gateway;
+      await user.getInstance();
+
+      keyChanges.should.have.length(1);
+      keyChanges[0].should.have.property('instanceId', instanceId);
+      const error = await user.sendRequestGet('/api/v1/house').catch((e) => e);
+      error.should.be.instanceOf(GatewayError);
+      error.code.should.equal('INSTANCE_KEY_CHANGED');
+    }
+
+    it('should block requests when the rotation is not signed', async () => {
+      await publishOtherKeys();
+
+      await shouldBeBlocked();
+
+      await gateway.user.trustInstanceKeys(gateway.instanceId);
+      should(gateway.user.instanceKeyChanged).be.null();
+    });
+
+    it('should block requests when the rotation is signed by another key', async () => {
+      await publishOtherKeys((otherKeys) => otherKeys.ecdsaKeys.privateKey);
+
+      await shouldBeBlocked();
+    });
+  });
+});
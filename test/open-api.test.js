@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { setupGateway } = require('./helpers/gateway');
+
+const MAX_PAYLOAD_SIZE = 200;
+
+// refuses unknown types, and tells why for the devices it doesn't know
+function validate(data) {
+  if (data.device === 'unknown') {
+    throw Object.assign(new Error('Unknown device'), { status: 422, error_code: 'UNKNOWN_DEVICE' });
+  }
+  return data.type === 'event';
+}
+
+describe('open API messages', () => {
+  let gateway;
+
+  before(async () => {
+    gateway = await setupGateway({
+      instanceOptions: {
+        openApi: {
+          requireApiKey: true,
+          maxPayloadSize: MAX_PAYLOAD_SIZE,
+          rateLimit: { capacity: 2, interval: 60 * 1000 },
+          validate,
+        },
+      },
+      onMessage: (data, meta, reply) => reply({ status: 200, received: data.type }),
+    });
+  });
+
+  after(() => gateway.close());
+
+  function send(data) {
+    return gateway.mock.sendOpenApiMessage(gateway.instanceId, data);
+  }
+
+  it('should give the accepted messages to the instance', async () => {
+    (await send({ api_key_id: 'key-1', type: 'event' })).should.deepEqual({ status: 200, received: 'event' });
+    (await send({ open_api_key_id: 'key-1', type: 'event' })).should.deepEqual({ status: 200, received: 'event' });
+  });
+
+  it('should refuse messages which are not objects', async () => {
+    (await send('event')).should.deepEqual({ status: 400, error_code: 'INVALID_PAYLOAD' });
+    (await send(['event'])).should.deepEqual({ status: 400, error_code: 'INVALID_PAYLOAD' });
+  });
+
+  it('should refuse messages without API key when one is required', async () => {
+    (await send({ type: 'event' })).should.deepEqual({ status: 401, error_code: 'API_KEY_REQUIRED' });
+  });
+
+  it('should rate limit each API key', async () => {
+    await send({ api_key_id: 'key-2', type: 'event' });
+    await send({ api_key_id: 'key-2', type: 'event' });
+
+    const response = await send({ api_key_id: 'key-2', type: 'event' });
+    response.should.have.properties({ status: 429, error_code: 'TOO_MANY_REQUESTS' });
+    response.retry_after.should.be.above(0);
+    (await send({ api_key_id: 'key-3', type: 'event' })).should.have.property('status', 200);
+  });
+
+  it('should refuse messages bigger than maxPayloadSize', async () => {
+    const response = await send({ api_key_id: 'key-4', type: 'event', text: 'x'.repeat(MAX_PAYLOAD_SIZE) });
+
+    response.should.deepEqual({ status: 413, error_code: 'PAYLOAD_TOO_LARGE' });
+  });
+
+  it('should refuse the messages the validate function rejects', async () => {
+    (await send({ api_key_id: 'key-5', type: 'other' })).should.deepEqual({
+      status: 400,
+      error_code: 'INVALID_PAYLOAD',
+    });
+    (await send({ api_key_id: 'key-5', type: 'event', device: 'unknown' })).should.deepEqual({
+      status: 422,
+      error_code: 'UNKNOWN_DEVICE',
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+require('should');
+const { createOutboundQueue } = require('../lib/outbound-queue');
+const { createGateway, setupGateway, wait, waitForEvent } = require('./helpers/gateway');
+
+// the instance learns that a user came or left through clear-connected-users-list
+const PROPAGATION_DELAY = 300;
+
+function deviceEvent(selector, value) {
+  return { type: 'gladys-event', event: 'device.new-state', data: { device_feature_selector: selector, value } };
+}
+
+describe('outbound queue', () => {
+  it('should drop the messages older than the ttl', async () => {
+    const queue = createOutboundQueue({ ttl: 50 });
+    queue.enqueue('user', { text: 'old' });
+
+    await wait(100);
+    queue.enqueue('user', { text: 'new' });
+
+    queue.take('user').should.deepEqual([{ text: 'new' }]);
+  });
+
+  it('should keep only the newest messages of a user', () => {
+    const queue = createOutboundQueue({ maxSize: 2 });
+    queue.enqueue('user', { text: 'first' });
+    queue.enqueue('user', { text: 'second' });
+    queue.enqueue('user', { text: 'third' });
+    queue.enqueue('other-user', { text: 'first' });
+
+    queue.size('user').should.equal(2);
+    queue.take('user').should.deepEqual([{ text: 'second' }, { text: 'third' }]);
+    queue.userIds().should.deepEqual(['other-user']);
+  });
+
+  it('should replace a queued event about the same device', () => {
+    const queue = createOutboundQueue();
+    queue.enqueue('user', deviceEvent('lamp', 0));
+    queue.enqueue('user', deviceEvent('heater', 20));
+    queue.enqueue('user', { type: 'gladys-event', event: 'alarm.arm', data: {} });
+    queue.enqueue('user', deviceEvent('lamp', 1));
+
+    queue
+      .take('user')
+      .should.deepEqual([
+        deviceEvent('heater', 20),
+        { type: 'gladys-event', event: 'alarm.arm', data: {} },
+        deviceEvent('lamp', 1),
+      ]);
+  });
+
+  describe('on the instance', () => {
+    let gateway;
+
+    beforeEach(async () => {
+      gateway = await setupGateway({ instanceOptions: { outboundQueue: true } });
+    });
+
+    afterEach(() => gateway.close());
+
+    it('should send the queued messages when the user connects again', async () => {
+      const { user, instance, serverUrl, session } = gateway;
+      user.disconnect();
+      await wait(PROPAGATION_DELAY);
+
+      const [report] = await instance.sendMessageAllUsers(deviceEvent('lamp', 1));
+      report.status.should.equal('queued');
+
+      const client = createGateway(serverUrl);
+      const received = waitForEvent(client, 'gladys-event:device.new-state');
+      await client.userConnect(session.refreshToken, session.serializedKeys);
+
+      try {
+        const [data] = await received;
+        data.should.deepEqual({ device_feature_selector: 'lamp', value: 1 });
+      } finally {
+        client.disconnect();
+      }
+    });
+
+    it('should send the queued messages once the instance is authenticated again', async () => {
+      const { user, instance } = gateway;
+      const received = waitForEvent(user, 'gladys-event:device.new-state');
+      instance.socket.io.engine.close();
+
+      const [report] = await instance.sendMessageAllUsers(deviceEvent('lamp', 1));
+      report.status.should.equal('queued');
+
+      const [data] = await received;
+      data.should.deepEqual({ device_feature_selector: 'lamp', value: 1 });
+      instance.isSocketAuthenticated().should.equal(true);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { webcrypto } = require('crypto');
+const arrayBufferToHex = require('array-buffer-to-hex');
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const Crypto = require('../lib/crypto');
+const { str2abOldStyle } = require('../lib/helpers');
+const { EMAIL, PASSWORD, createGateway, loginUser, setupGateway } = require('./helpers/gateway');
+
+const crypto = Crypto({ cryptoLib: webcrypto });
+
+// envelope written by clients before the versioned one: the JWK wrapped with a PBKDF2 key, 100000 iterations
+async function encryptLegacyPrivateKey(passphrase, privateKey) {
+  const salt = webcrypto.getRandomValues(new Uint8Array(16));
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const key = await webcrypto.subtle.importKey('raw', str2abOldStyle(passphrase), { name: 'PBKDF2' }, false, [
+    'deriveKey',
+  ]);
+  const wrappingKey = await webcrypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 100000, hash: { name: 'SHA-256' } },
+    key,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey'],
+  );
+  const wrappedKey = await webcrypto.subtle.wrapKey('jwk', privateKey, wrappingKey, { name: 'AES-GCM', iv });
+  return {
+    wrappedKey: arrayBufferToHex(wrappedKey),
+    salt: Array.from(salt),
+    iv: Array.from(iv),
+  };
+}
+
+describe('private key envelope', () => {
+  let keys;
+
+  before(async () => {
+    keys = await crypto.generateKeyPair();
+  });
+
+  [
+    ['RSA-OAEP', 'rsaKeys'],
+    ['ECDSA', 'ecdsaKeys'],
+  ].forEach(([type, keyPair]) => {
+    it(`should decrypt a ${type} key from the legacy envelope`, async () => {
+      const envelope = await encryptLegacyPrivateKey(PASSWORD, keys[keyPair].privateKey);
+
+      const privateKey = await crypto.decryptPrivateKey(PASSWORD, envelope, type);
+
+      (await crypto.exportKey(privateKey)).should.deepEqual(await crypto.exportKey(keys[keyPair].privateKey));
+      crypto.isPrivateKeyEnvelopeOutdated(envelope).should.equal(true);
+    });
+
+    it(`should decrypt a ${type} key from the versioned envelope`, async () => {
+      const envelope = JSON.parse(JSON.stringify(await crypto.encryptPrivateKey(PASSWORD, keys[keyPair].privateKey)));
+
+      const privateKey = await crypto.decryptPrivateKey(PASSWORD, envelope, type);
+
+      envelope.should.have.property('version', 2);
+      (await crypto.exportKey(privateKey)).should.deepEqual(await crypto.exportKey(keys[keyPair].privateKey));
+      crypto.isPrivateKeyEnvelopeOutdated(envelope).should.equal(false);
+    });
+  });
+
+  it('should not decrypt the versioned envelope with a wrong password', async () => {
+    const envelope = await crypto.encryptPrivateKey(PASSWORD, keys.ecdsaKeys.privateKey);
+
+    await crypto.decryptPrivateKey('wrong-password', envelope, 'ECDSA').should.be.rejected();
+  });
+
+  it('should not decrypt a versioned envelope whose parameters were changed', async () => {
+    const envelope = await crypto.encryptPrivateKey(PASSWORD, keys.ecdsaKeys.privateKey, { iterations: 1000 });
+
+    await crypto.decryptPrivateKey(PASSWORD, { ...envelope, iterations: 1001 }, 'ECDSA').should.be.rejected();
+  });
+
+  describe('on login', () => {
+    let gateway;
+    let serverUser;
+
+    before(async () => {
+      gateway = await setupGateway();
+      serverUser = Array.from(gateway.mock.users.values()).find((user) => user.email === EMAIL);
+    });
+
+    after(() => gateway.close());
+
+    // the account was created by an old client
+    async function useLegacyEnvelopes() {
+      serverUser.rsa_encrypted_private_key = JSON.stringify(
+        await encryptLegacyPrivateKey(PASSWORD, gateway.user.rsaKeys.private_key),
+      );
+      serverUser.ecdsa_encrypted_private_key = JSON.stringify(
+        await encryptLegacyPrivateKey(PASSWORD, gateway.user.ecdsaKeys.private_key),
+      );
+    }
+
+    it('should upgrade the legacy envelopes on login', async () => {
+      await useLegacyEnvelopes();
+
+      const session = await loginUser(createGateway(gateway.serverUrl));
+
+      should(session.serializedKeys).be.a.String();
+      JSON.parse(serverUser.rsa_encrypted_private_key).should.have.property('version', 2);
+      JSON.parse(serverUser.ecdsa_encrypted_private_key).should.have.property('version', 2);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { webcrypto } = require('crypto');
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const Crypto = require('../lib/crypto');
+const { createMemoryReplayStore } = require('../lib/replay');
+const { ReplayedMessageError, ExpiredMessageError } = require('../lib/errors');
+const { setupGateway, wait } = require('./helpers/gateway');
+
+const crypto = Crypto({ cryptoLib: webcrypto });
+
+// a message goes through the socket as JSON
+function copy(message) {
+  return JSON.parse(JSON.stringify(message));
+}
+
+describe('replay protection', () => {
+  let keys;
+
+  before(async () => {
+    keys = await crypto.generateKeyPair();
+  });
+
+  it('should reject a message decrypted twice', async () => {
+    const message = await crypto.encryptMessage(keys.rsaKeys.publicKey, keys.ecdsaKeys.privateKey, { hello: 'world' });
+    const options = { replayStore: createMemoryReplayStore() };
+
+    const decrypted = await crypto.decryptMessage(
+      keys.rsaKeys.privateKey,
+      keys.ecdsaKeys.publicKey,
+      copy(message),
+      options,
+    );
+    decrypted.should.have.property('hello', 'world');
+
+    const error = await crypto
+      .decryptMessage(keys.rsaKeys.privateKey, keys.ecdsaKeys.publicKey, copy(message), options)
+      .catch((e) => e);
+    error.should.be.instanceOf(ReplayedMessageError);
+    error.code.should.equal('REPLAYED_MESSAGE');
+  });
+
+  it('should reject a message older than its lifetime', async () => {
+    const message = await crypto.encryptMessage(keys.rsaKeys.publicKey, keys.ecdsaKeys.privateKey, { hello: 'world' });
+    await wait(10);
+
+    const error = await crypto
+      .decryptMessage(keys.rsaKeys.privateKey, keys.ecdsaKeys.publicKey, copy(message), {
+        maxLifetime: 1,
+        clockSkew: 0,
+      })
+      .catch((e) => e);
+    error.should.be.instanceOf(ExpiredMessageError);
+    error.code.should.equal('EXPIRED_MESSAGE');
+  });
+
+  describe('through the gateway', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('should not answer a message sent again to the instance', async () => {
+      const { user } = gateway;
+      const sent = [];
+      const { emitWithAck } = user;
+      user.emitWithAck = (event, payload, timeout, callback) => {
+        sent.push(payload);
+        emitWithAck(event, payload, timeout, callback);
+      };
+
+      const response = await user.sendRequestGet('/api/v1/house');
+      response.should.have.property('url', '/api/v1/house');
+      sent.should.have.length(1);
+
+      const replayed = await new Promise((resolve, reject) => {
+        emitWithAck('message', sent[0], 5000, (err, res) => (err ? reject(err) : resolve(res)));
+      });
+      should(replayed).have.properties({ status: 400, error_code: 'REPLAYED_MESSAGE' });
+    });
+  });
+});
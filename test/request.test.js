@@ -0,0 +1,150 @@
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('mocha');
+require('should');
+const requestApi = require('../lib/request');
+const { retry } = require('../lib/retry');
+const { AbortError, GatewayTimeoutError, HttpError } = require('../lib/errors');
+
+describe('request', () => {
+  let server;
+  let serverUrl;
+  // the answer of the server to each route, called with the request and its response
+  let routes;
+  // number of requests received on each route
+  let counts;
+  let state;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      counts[req.url] = (counts[req.url] || 0) + 1;
+      routes[req.url](req, res);
+    });
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    serverUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    counts = {};
+    state = { serverUrl, accessToken: 'expired-token', refreshToken: 'refresh-token' };
+    routes = {
+      '/users/access-token': (req, res) => res.end(JSON.stringify({ access_token: 'new-token' })),
+      '/data': (req, res) => {
+        if (req.headers.authorization !== 'new-token') {
+          res.writeHead(401).end();
+          return;
+        }
+        res.end(JSON.stringify({ ok: true }));
+      },
+    };
+  });
+
+  function sendJson(res, status, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers }).end('{}');
+  }
+
+  it('should refresh the access token once for concurrent requests', async () => {
+    routes['/users/access-token'] = (req, res) =>
+      setTimeout(() => res.end(JSON.stringify({ access_token: 'new-token' })), 200);
+
+    const results = await Promise.all([1, 2, 3].map(() => requestApi.get(`${serverUrl}/data`, state)));
+
+    results.forEach((result) => result.should.deepEqual({ ok: true }));
+    counts['/users/access-token'].should.equal(1);
+    state.accessToken.should.equal('new-token');
+  });
+
+  it('should stop retrying after the retry limit', async () => {
+    routes['/data'] = (req, res) => sendJson(res, 500);
+
+    const error = await requestApi.get(`${serverUrl}/data`, state, { retries: 1 }).catch((e) => e);
+
+    error.should.be.instanceOf(HttpError);
+    error.status.should.equal(500);
+    counts['/data'].should.equal(2);
+  });
+
+  it('should retry a rate limited request after Retry-After', async () => {
+    routes['/data'] = (req, res) =>
+      counts['/data'] === 1 ? sendJson(res, 429, { 'retry-after': '0' }) : res.end(JSON.stringify({ ok: true }));
+
+    const result = await requestApi.get(`${serverUrl}/data`, state);
+
+    result.should.deepEqual({ ok: true });
+    counts['/data'].should.equal(2);
+  });
+
+  it('should not wait longer than maxDelay, whatever Retry-After says', async () => {
+    const delays = [];
+    let attempts = 0;
+
+    const result = await retry(
+      () => {
+        attempts += 1;
+        return attempts === 1 ? Promise.reject(new Error('RATE_LIMITED')) : 'done';
+      },
+      { maxDelay: 10, getDelay: () => 3600 * 1000, onRetry: (e, attempt, delay) => delays.push(delay) },
+    );
+
+    result.should.equal('done');
+    delays.should.deepEqual([10]);
+  });
+
+  it('should time out a request without answer', async () => {
+    routes['/data'] = (req, res) => setTimeout(() => sendJson(res, 200), 500);
+
+    const error = await requestApi.get(`${serverUrl}/data`, state, { timeout: 100, retries: 0 }).catch((e) => e);
+
+    error.should.be.instanceOf(GatewayTimeoutError);
+    error.code.should.equal('GATEWAY_TIMEOUT');
+  });
+
+  it('should abort a request waiting before its next retry', async () => {
+    routes['/data'] = (req, res) => sendJson(res, 503, { 'retry-after': '10' });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const start = Date.now();
+
+    const error = await requestApi.get(`${serverUrl}/data`, state, { signal: controller.signal }).catch((e) => e);
+
+    error.should.be.instanceOf(AbortError);
+    (Date.now() - start).should.be.below(1000);
+    counts['/data'].should.equal(1);
+  });
+
+  describe('while the access token is refreshed', () => {
+    beforeEach(() => {
+      routes['/users/access-token'] = (req, res) =>
+        setTimeout(() => res.end(JSON.stringify({ access_token: 'new-token' })), 500);
+    });
+
+    it('should stop waiting for the refresh on the request timeout', async () => {
+      const error = await requestApi.get(`${serverUrl}/data`, state, { timeout: 100 }).catch((e) => e);
+
+      error.should.be.instanceOf(GatewayTimeoutError);
+    });
+
+    it('should stop waiting for the refresh when the request is aborted', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 100);
+
+      const error = await requestApi.get(`${serverUrl}/data`, state, { signal: controller.signal }).catch((e) => e);
+
+      error.should.be.instanceOf(AbortError);
+    });
+
+    it('should still refresh the access token for the other requests', async () => {
+      const waiting = requestApi.get(`${serverUrl}/data`, state);
+      await requestApi.get(`${serverUrl}/data`, state, { timeout: 100 }).should.be.rejectedWith(GatewayTimeoutError);
+
+      (await waiting).should.deepEqual({ ok: true });
+      counts['/users/access-token'].should.equal(1);
+    });
+  });
+});
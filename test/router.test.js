@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { createRouter } = require('../lib/router');
+const { setupGateway } = require('./helpers/gateway');
+
+function request(method, url, { query, data } = {}) {
+  return { type: 'gladys-api-call', options: { method, url, query, data } };
+}
+
+describe('router', () => {
+  it('should give the path parameters, the query and the data to the handler', async () => {
+    const router = createRouter();
+    router.post('/api/v1/device/:device_selector/:feature', (req) => ({
+      params: req.params,
+      query: req.query,
+      data: req.data,
+    }));
+
+    const response = await router.handle(
+      request('post', '/api/v1/device/my%20lamp/binary/?take=1', { query: { skip: '2' }, data: { value: 1 } }),
+    );
+
+    response.should.deepEqual({
+      params: { device_selector: 'my lamp', feature: 'binary' },
+      query: { take: '1', skip: '2' },
+      data: { value: 1 },
+    });
+  });
+
+  it('should call the middlewares before the handler', async () => {
+    const router = createRouter();
+    const calls = [];
+    router.use((req, next) => {
+      calls.push('middleware');
+      return next();
+    });
+    router.get('/api/v1/house', () => {
+      calls.push('handler');
+      return [];
+    });
+
+    (await router.handle(request('GET', '/api/v1/house'))).should.deepEqual([]);
+    calls.should.deepEqual(['middleware', 'handler']);
+  });
+
+  it('should let a middleware answer without calling the handler', async () => {
+    const router = createRouter();
+    router.use(() => ({ status: 401, error_code: 'UNAUTHORIZED' }));
+    router.get('/api/v1/house', () => {
+      throw new Error('should not be called');
+    });
+
+    (await router.handle(request('GET', '/api/v1/house'))).should.deepEqual({
+      status: 401,
+      error_code: 'UNAUTHORIZED',
+    });
+  });
+
+  it('should answer 404 and 405 for unknown routes and methods', async () => {
+    const router = createRouter();
+    router.get('/api/v1/house', () => []);
+
+    (await router.handle(request('GET', '/api/v1/room'))).should.deepEqual({ status: 404, error_code: 'NOT_FOUND' });
+    (await router.handle(request('DELETE', '/api/v1/house'))).should.deepEqual({
+      status: 405,
+      error_code: 'METHOD_NOT_ALLOWED',
+    });
+  });
+
+  it('should answer 400 to a malformed path parameter', async () => {
+    const router = createRouter();
+    router.get('/api/v1/device/:device_selector', () => ({}));
+
+    (await router.handle(request('GET', '/api/v1/device/%E0%A4%A'))).should.deepEqual({
+      status: 400,
+      error_code: 'INVALID_URL',
+    });
+  });
+
+  it('should send the status and error code of thrown errors, and hide the others', async () => {
+    const router = createRouter();
+    router.get('/api/v1/house/:selector', (req) => {
+      if (req.params.selector === 'unknown') {
+        throw Object.assign(new Error('No house'), { status: 404, error_code: 'HOUSE_NOT_FOUND' });
+      }
+      throw new Error('database is down');
+    });
+
+    (await router.handle(request('GET', '/api/v1/house/unknown'))).should.deepEqual({
+      status: 404,
+      error_code: 'HOUSE_NOT_FOUND',
+    });
+    (await router.handle(request('GET', '/api/v1/house/main'))).should.deepEqual({
+      status: 500,
+      error_code: 'SERVER_ERROR',
+    });
+  });
+
+  describe('on the instance', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway();
+      gateway.instance.router.get('/api/v1/house/:selector', (req) => ({ selector: req.params.selector }));
+    });
+
+    after(() => gateway.close());
+
+    it('should answer the requests of the user', async () => {
+      const response = await gateway.user.sendRequestGet('/api/v1/house/main');
+
+      response.should.have.property('selector', 'main');
+    });
+
+    it('should give the router errors to the user', async () => {
+      const error = await gateway.user.sendRequestGet('/api/v1/room').catch((e) => e);
+
+      error.should.have.properties({ status: 404, code: 'NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('mocha');
+const should = require('should');
+const { createFileSessionStorage } = require('../lib/session-storage');
+const { DecryptionError } = require('../lib/errors');
+const { createGateway, setupGateway } = require('./helpers/gateway');
+
+const SECRET = 'a long device secret';
+
+describe('session storage', () => {
+  describe('saved session', () => {
+    let gateway;
+
+    before(async () => {
+      gateway = await setupGateway();
+      await gateway.user.saveSession(SECRET);
+    });
+
+    after(() => gateway.close());
+
+    it('should not store the refresh token in plaintext', async () => {
+      const { user, session } = gateway;
+
+      const stored = await user.sessionStorage.get('session');
+
+      stored.should.be.a.String();
+      stored.should.not.containEql(session.refreshToken);
+    });
+
+    it('should bring back the session without the password', async () => {
+      const { user, serverUrl, session } = gateway;
+      const client = createGateway(serverUrl, { sessionStorage: user.sessionStorage });
+
+      const restored = await client.restoreSession(SECRET);
+      restored.refreshToken.should.equal(session.refreshToken);
+      restored.gladysInstance.should.have.property('id', gateway.instanceId);
+      await client.userConnect(restored.refreshToken, restored.serializedKeys);
+
+      try {
+        (await client.sendRequestGet('/api/v1/house')).should.have.property('url', '/api/v1/house');
+      } finally {
+        client.disconnect();
+      }
+    });
+
+    it('should not open the session with a wrong secret', async () => {
+      const client = createGateway(gateway.serverUrl, { sessionStorage: gateway.user.sessionStorage });
+
+      const error = await client.restoreSession('wrong secret').catch((e) => e);
+
+      error.should.be.instanceOf(DecryptionError);
+      error.code.should.equal('INVALID_SECRET');
+      should(client.refreshToken).not.be.ok();
+    });
+
+    it('should return null once the session is cleared', async () => {
+      const client = createGateway(gateway.serverUrl);
+      await client.sessionStorage.set('session', await gateway.user.sessionStorage.get('session'));
+
+      await client.clearSession();
+
+      should(await client.restoreSession(SECRET)).be.null();
+    });
+  });
+
+  describe('file storage', () => {
+    let directory;
+    let file;
+
+    before(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gateway-session-'));
+      file = path.join(directory, 'session.json');
+    });
+
+    after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+    it('should keep the values in a file only readable by its owner', async () => {
+      await createFileSessionStorage({ path: file }).set('session', 'sealed');
+
+      should(await createFileSessionStorage({ path: file }).get('session')).equal('sealed');
+      ((await fs.promises.stat(file)).mode & 0o777).should.equal(0o600); // eslint-disable-line no-bitwise
+    });
+
+    it('should return null for unknown and removed values', async () => {
+      const storage = createFileSessionStorage({ path: file });
+      await storage.set('session', 'sealed');
+
+      await storage.remove('session');
+
+      should(await storage.get('session')).be.null();
+      should(await storage.get('unknown')).be.null();
+    });
+
+    it('should return null when the file does not exist', async () => {
+      const storage = createFileSessionStorage({ path: path.join(directory, 'missing.json') });
+
+      should(await storage.get('session')).be.null();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('mocha');
+require('should');
+const { GatewayTimeoutError, AbortError } = require('../lib/errors');
+const { setupGateway } = require('./helpers/gateway');
+
+describe('timeouts and cancellation', () => {
+  let gateway;
+  let onMessage;
+
+  before(async () => {
+    gateway = await setupGateway({ onMessage: (...args) => onMessage(...args) });
+  });
+
+  after(() => gateway.close());
+
+  it('should time out when the instance does not answer', async () => {
+    onMessage = () => {};
+
+    const error = await gateway.user.sendRequestGet('/api/v1/house', undefined, { timeout: 300 }).catch((e) => e);
+
+    error.should.be.instanceOf(GatewayTimeoutError);
+    error.code.should.equal('GATEWAY_TIMEOUT');
+    error.timeout.should.equal(300);
+  });
+
+  it('should stop waiting for the instance when the request is aborted', async () => {
+    onMessage = () => {};
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    const error = await gateway.user
+      .sendRequestGet('/api/v1/house', undefined, { signal: controller.signal })
+      .catch((e) => e);
+
+    error.should.be.instanceOf(AbortError);
+    error.code.should.equal('ABORTED');
+  });
+
+  it('should answer when the instance is faster than the timeout', async () => {
+    onMessage = (data, meta, reply) => setTimeout(() => reply({ ok: true }), 50);
+
+    (await gateway.user.sendRequestGet('/api/v1/house', undefined, { timeout: 2000 })).should.have.property('ok', true);
+  });
+});